@@ -21,6 +21,7 @@ try {
   // Step 2: Copy the corrected server
   console.log('Copying Harmonic server...');
   fs.copyFileSync('src/harmonic-server.js', 'dist/harmonic-server.js');
+  fs.cpSync('src/lib', 'dist/lib', { recursive: true });
   
   // Step 3: Create a standalone directory with all dependencies
   console.log('Creating standalone package...');
@@ -28,6 +29,7 @@ try {
   
   // Copy the server file
   fs.copyFileSync('dist/harmonic-server.js', 'dist/standalone/index.js');
+  fs.cpSync('dist/lib', 'dist/standalone/lib', { recursive: true });
   
   // Create package.json for the standalone version
   const standalonePackage = {
@@ -38,7 +40,8 @@ try {
       "harmonic-mcp": "./index.js"
     },
     dependencies: {
-      "@modelcontextprotocol/sdk": "^1.13.1"
+      "@modelcontextprotocol/sdk": "^1.13.1",
+      "yaml": "^2.9.1"
     }
   };
   
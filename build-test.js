@@ -0,0 +1,17 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Lay out the server for the tests without installing anything: the same
+// files as dist/standalone, marked CommonJS, with dependencies resolved from
+// the project's own node_modules. `npm run build` makes the real package.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const outDir = path.join(__dirname, 'dist', 'test-server');
+
+fs.rmSync(outDir, { recursive: true, force: true });
+fs.mkdirSync(outDir, { recursive: true });
+fs.copyFileSync(path.join(__dirname, 'src', 'harmonic-server.js'), path.join(outDir, 'index.js'));
+fs.cpSync(path.join(__dirname, 'src', 'lib'), path.join(outDir, 'lib'), { recursive: true });
+fs.writeFileSync(path.join(outDir, 'package.json'), JSON.stringify({ private: true, type: 'commonjs' }, null, 2));
+
+console.log(`Test build written to ${path.relative(__dirname, outDir)}/`);
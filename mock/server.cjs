@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// Local stand-in for the Harmonic API, for offline development and tests.
+//
+//   node mock/server.cjs                      replay fixtures from mock/fixtures
+//   node mock/server.cjs --mode record        proxy to api.harmonic.ai and save what comes back
+//
+// Point the MCP server at it with --api-base http://127.0.0.1:8787 (or
+// HARMONIC_API_BASE). Each fixture file holds one request and its response:
+//   { "request": { "method", "path", "query", "body" }, "response": { "status", "body" } }
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_UPSTREAM = "https://api.harmonic.ai";
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const REDACTED = "[REDACTED]";
+
+// Never written to a fixture or used to match one
+const SECRET_PARAMS = ["apikey", "api_key"];
+// Response fields whose values are replaced before a fixture is saved
+const SECRET_FIELDS = /^(api_?key|apikey|token|access_token|refresh_token|secret|client_secret|password|authorization)$/i;
+// A fixture recorded with one page size still answers a request for another
+const LOOSE_PARAMS = ["size"];
+
+// Parse "--flag value" and "--flag=value" style arguments
+function parseArgs(argv = process.argv.slice(2)) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      args[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args[arg.slice(2)] = true;
+    }
+  }
+  return args;
+}
+
+// Stable JSON: object keys sorted, so the same request always has the same key
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function publicQuery(searchParams, { loose = false } = {}) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (SECRET_PARAMS.includes(key.toLowerCase())) continue;
+    if (loose && LOOSE_PARAMS.includes(key)) continue;
+    query[key] = value;
+  }
+  return query;
+}
+
+function requestKey({ method, path: pathname, query, body }, { loose = false } = {}) {
+  const params = new URLSearchParams(query || {});
+  return canonical([method.toUpperCase(), pathname, publicQuery(params, { loose }), body ?? null]);
+}
+
+function scrub(value, secrets) {
+  if (typeof value === "string") {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+  if (Array.isArray(value)) return value.map((item) => scrub(item, secrets));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, SECRET_FIELDS.test(key) ? REDACTED : scrub(item, secrets)])
+    );
+  }
+  return value;
+}
+
+function fixtureFilename({ method, path: pathname }, key) {
+  const slug = pathname.replace(/^\/+/, "").replace(/[^a-zA-Z0-9]+/g, "-").replace(/-+$/, "") || "root";
+  const hash = crypto.createHash("sha256").update(key).digest("hex").slice(0, 10);
+  return `${method.toLowerCase()}-${slug}-${hash}.json`;
+}
+
+class FixtureStore {
+  constructor(directory, log = () => {}) {
+    this.directory = directory;
+    this.log = log;
+    this.exact = new Map();
+    this.loose = new Map();
+  }
+
+  load() {
+    if (!fs.existsSync(this.directory)) return 0;
+    let count = 0;
+    for (const file of fs.readdirSync(this.directory).sort()) {
+      if (!file.endsWith(".json")) continue;
+      const filePath = path.join(this.directory, file);
+      let fixture;
+      try {
+        fixture = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      } catch (error) {
+        this.log(`Skipping ${file}: ${error.message}`);
+        continue;
+      }
+      if (!fixture.request?.method || !fixture.request?.path || !fixture.response) {
+        this.log(`Skipping ${file}: needs request.method, request.path and response`);
+        continue;
+      }
+      this.add(fixture, file);
+      count++;
+    }
+    return count;
+  }
+
+  add(fixture, file) {
+    const entry = { ...fixture, file };
+    this.exact.set(requestKey(fixture.request), entry);
+    const looseKey = requestKey(fixture.request, { loose: true });
+    if (!this.loose.has(looseKey)) this.loose.set(looseKey, entry);
+  }
+
+  find(request) {
+    return this.exact.get(requestKey(request)) || this.loose.get(requestKey(request, { loose: true })) || null;
+  }
+
+  save(fixture) {
+    const key = requestKey(fixture.request);
+    const file = fixtureFilename(fixture.request, key);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, file), `${JSON.stringify(fixture, null, 2)}\n`);
+    this.add(fixture, file);
+    return file;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": typeof body === "string" ? "text/plain" : "application/json" });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function replay(store, request, res, log) {
+  const fixture = store.find(request);
+  if (!fixture) {
+    log(`No fixture: ${request.method} ${request.path}`);
+    return send(res, 404, {
+      error: `No fixture for ${request.method} ${request.path}. Run the mock with --mode record to capture one.`,
+    });
+  }
+  log(`${request.method} ${request.path} -> ${fixture.response.status} (${fixture.file})`);
+  send(res, fixture.response.status, fixture.response.body ?? null);
+}
+
+// Forward to the real API and save the response with every secret the
+// request carried scrubbed out. Auth failures and server errors are passed
+// through but not saved.
+async function record(store, upstream, request, url, rawBody, res, log) {
+  const secrets = SECRET_PARAMS.map((name) => url.searchParams.get(name)).filter(Boolean);
+  const target = new URL(`${request.path}${url.search}`, upstream);
+  let response;
+  let text;
+  try {
+    response = await fetch(target, {
+      method: request.method,
+      headers: { accept: "application/json", "Content-Type": "application/json" },
+      body: rawBody || undefined,
+    });
+    text = await response.text();
+  } catch (error) {
+    log(`Upstream request failed: ${error.message}`);
+    return send(res, 502, { error: `Upstream request failed: ${error.message}` });
+  }
+
+  res.writeHead(response.status, { "Content-Type": response.headers.get("content-type") || "application/json" });
+  res.end(text);
+
+  if ([401, 403].includes(response.status) || response.status >= 500) {
+    log(`${request.method} ${request.path} -> ${response.status} (not recorded)`);
+    return;
+  }
+  const file = store.save({
+    request: scrub(request, secrets),
+    response: { status: response.status, body: scrub(parseJson(text), secrets) },
+    recorded_at: new Date().toISOString(),
+  });
+  log(`${request.method} ${request.path} -> ${response.status} (saved ${file})`);
+}
+
+// `quiet` turns off the per-request log on stderr
+function startMockServer({ mode = "replay", port = DEFAULT_PORT, host = DEFAULT_HOST, fixtures = DEFAULT_FIXTURES_DIR, upstream = DEFAULT_UPSTREAM, quiet = false } = {}) {
+  if (!["replay", "record"].includes(mode)) throw new Error(`Unknown mode "${mode}". Use "replay" or "record".`);
+
+  const log = quiet ? () => {} : (message) => console.error(`[mock] ${message}`);
+  const store = new FixtureStore(path.resolve(fixtures), log);
+  const loaded = store.load();
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || host}`);
+      const rawBody = await readBody(req);
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: publicQuery(url.searchParams),
+        body: parseJson(rawBody),
+      };
+      if (mode === "record") await record(store, upstream, request, url, rawBody, res, log);
+      else replay(store, request, res, log);
+    } catch (error) {
+      log(error.message);
+      if (!res.headersSent) send(res, 500, { error: error.message });
+    }
+  });
+
+  server.listen(port, host, () => {
+    log(`Harmonic mock API (${mode}) on http://${host}:${server.address().port}, ${loaded} fixture${loaded === 1 ? "" : "s"} from ${store.directory}`);
+    if (mode === "record") log(`Recording responses from ${upstream}`);
+  });
+  return server;
+}
+
+// --port 0 asks the OS for a free port, so only an unset value falls back
+function readPort(value) {
+  if (value === undefined || value === "") return DEFAULT_PORT;
+  const port = typeof value === "string" ? Number(value) : NaN;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port: ${value}`);
+  return port;
+}
+
+if (require.main === module) {
+  const args = parseArgs();
+  try {
+    startMockServer({
+      mode: args.mode || process.env.HARMONIC_MOCK_MODE || "replay",
+      port: readPort(args.port ?? process.env.HARMONIC_MOCK_PORT),
+      host: args.host || DEFAULT_HOST,
+      fixtures: args.fixtures || process.env.HARMONIC_MOCK_FIXTURES || DEFAULT_FIXTURES_DIR,
+      upstream: args.upstream || DEFAULT_UPSTREAM,
+    });
+  } catch (error) {
+    console.error(`[mock] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { startMockServer, FixtureStore, requestKey, scrub };
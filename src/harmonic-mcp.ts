@@ -8,7 +8,7 @@ import {
   McpError,
 } from "@modelcontextprotocol/sdk/types.js";
 
-const HARMONIC_API_BASE = "https://api.harmonic.ai";
+const HARMONIC_API_BASE = (process.env.HARMONIC_API_BASE || "https://api.harmonic.ai").replace(/\/+$/, "");
 
 interface HarmonicConfig {
   apiKey: string;
@@ -4,29 +4,178 @@ const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } = require("@modelcontextprotocol/sdk/types.js");
-
-const HARMONIC_API_BASE = "https://api.harmonic.ai";
-
-// Global state to persist the API key
-let globalHarmonicClient = null;
+const {
+  loadConfig,
+  resolveCredentials,
+  getProfileCredentials,
+  listProfiles,
+  DEFAULT_API_BASE,
+  getApiBase,
+  getClientOptions,
+  getRateLimitOptions,
+  getCacheOptions,
+  getExportOptions,
+  getPromptsDirectory,
+  getStateDirectory,
+  getTeamMembers,
+  getTransportOptions,
+  getSessionOptions,
+} = require("./lib/config.js");
+const { HarmonicApiError } = require("./lib/errors.js");
+const {
+  DEFAULT_RETRY_OPTIONS,
+  isRetryableStatus,
+  parseRetryAfter,
+  computeBackoff,
+  sleep,
+} = require("./lib/retry.js");
+const { ENDPOINT_GROUPS, cacheKey, fingerprint } = require("./lib/cache.js");
+const { HarmonicSession } = require("./lib/session.js");
+const { RequestScheduler } = require("./lib/rate-limiter.js");
+const {
+  collectPages,
+  checkPageArgs,
+  pageItems,
+  nextCursor,
+  DEFAULT_MAX_RESULTS,
+} = require("./lib/pagination.js");
+const { shapeResponse, parseFields, projectFields, summarize } = require("./lib/projection.js");
+const { renderTable, formatMoney } = require("./lib/formatters.js");
+const {
+  DEFAULT_EXPORT_MAX_RESULTS,
+  EXPORT_FORMATS,
+  defaultFilename,
+  resolveExportPath,
+  writeExport,
+} = require("./lib/export.js");
+const {
+  RESOURCE_TEMPLATES,
+  parseResourceUri,
+  savedSearchResource,
+  renderResource,
+  firstEntity,
+} = require("./lib/resources.js");
+const { loadPrompts, renderPrompt, describePrompt } = require("./lib/prompts.js");
+const { startHttpServer } = require("./lib/http-transport.js");
+const { mapSettled } = require("./lib/concurrency.js");
+const {
+  MAX_BATCH_SIZE,
+  DEFAULT_BATCH_CONCURRENCY,
+  MAX_BATCH_CONCURRENCY,
+  planLookups,
+  lookupOutcome,
+  countStatuses,
+  renderEnrichmentTable,
+} = require("./lib/enrich.js");
+const { parseLinkedInUrl, isEmail, detectCompanyIdentifier } = require("./lib/identifiers.js");
+const {
+  SAVED_SEARCH_TYPES,
+  savedSearchSummary,
+  savedSearchList,
+  findSavedSearch,
+  validateSavedSearch,
+  renderSavedSearches,
+} = require("./lib/saved-searches.js");
+const {
+  DEFAULT_DIFF_MAX_RESULTS,
+  takeSnapshot,
+  diffSnapshots,
+  SnapshotStore,
+} = require("./lib/snapshots.js");
+const {
+  WATCHLIST_TYPES,
+  watchlistList,
+  entityUrn,
+  renderWatchlists,
+} = require("./lib/watchlists.js");
+const { FUNDING_STAGES, SORT_FIELDS, buildCompanyQuery } = require("./lib/company-query.js");
+const {
+  DEFAULT_SIMILAR_SIZE,
+  MAX_SIMILAR_SIZE,
+  FILTER_OVERFETCH,
+  peerReasons,
+  parsePeerFilters,
+  matchesPeerFilters,
+  renderPeers,
+} = require("./lib/similar.js");
+const {
+  DEFAULT_MAX_EMPLOYEES,
+  MAX_EMPLOYEES,
+  DEFAULT_MAX_PATHS,
+  rankIntroPaths,
+  renderIntroPaths,
+} = require("./lib/intro-paths.js");
+const {
+  MIN_COMPARE,
+  MAX_COMPARE,
+  MISSING,
+  compareMetrics,
+  renderComparison,
+} = require("./lib/compare.js");
+const {
+  APPROXIMATE_NOTE,
+  DEFAULT_SERIES_MONTHS,
+  MAX_SERIES_MONTHS,
+  analyzeTraction,
+  renderTraction,
+} = require("./lib/traction.js");
+const {
+  DEFAULT_PORTFOLIO_SCAN,
+  MAX_PORTFOLIO_SCAN,
+  companyFunding,
+  parsePortfolioFilters,
+  portfolioEntry,
+  renderFunding,
+  renderPortfolio,
+} = require("./lib/funding.js");
+const {
+  DEFAULT_MAX_CANDIDATES,
+  personProfile,
+  rankCandidates,
+  searchQueries,
+} = require("./lib/people.js");
 
 class HarmonicClient {
   constructor(config) {
     this.apiKey = config.apiKey;
+    this.apiBase = config.apiBase || DEFAULT_API_BASE;
+    this.retry = { ...DEFAULT_RETRY_OPTIONS, ...config.retry };
+    this.scheduler = config.scheduler || null;
+    this.cache = config.cache || null;
     console.error(`[DEBUG] API key set: ${this.apiKey.substring(0, 8)}...`);
   }
 
-  async makeRequest(endpoint, method = 'GET', queryParams = {}) {
+  // Only idempotent requests are retried and cached; by default that is every GET.
+  // `body` is sent as JSON.
+  async makeRequest(endpoint, method = 'GET', queryParams = {}, { idempotent = method === 'GET', bypassCache = false, body } = {}) {
+    const keyParams = body === undefined ? queryParams : { ...queryParams, body: JSON.stringify(body) };
+    const key = idempotent && this.cache ? cacheKey(this.apiKey, method, endpoint, keyParams) : null;
+    if (key && !bypassCache) {
+      const cached = this.cache.get(key);
+      if (cached !== undefined) {
+        console.error(`[DEBUG] Cache hit: ${method} ${endpoint}`);
+        return cached;
+      }
+    }
+
+
     // Add API key to query parameters
     const params = new URLSearchParams({
       ...queryParams,
       apikey: this.apiKey
     });
     
-    const url = `${HARMONIC_API_BASE}${endpoint}?${params}`;
+    const url = `${this.apiBase}${endpoint}?${params}`;
+    // What the debug log shows: the same URL with the key blanked out
+    const loggedUrl = `${this.apiBase}${endpoint}?${new URLSearchParams({ ...queryParams, apikey: 'REDACTED' })}`;
     
     const headers = {
       'accept': 'application/json',
@@ -37,67 +186,217 @@ class HarmonicClient {
       method,
       headers,
     };
+    if (body !== undefined) {
+      options.body = JSON.stringify(body);
+    }
 
-    console.error(`[DEBUG] Making ${method} request to: ${url}`);
+    const maxAttempts = idempotent ? Math.max(1, this.retry.maxAttempts) : 1;
 
-    try {
-      const response = await fetch(url, options);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[DEBUG] API Response: ${response.status} - ${errorText}`);
-        
-        if (response.status === 403) {
-          throw new Error(`Authentication failed (403). Please check your API key. Response: ${errorText}`);
-        } else if (response.status === 401) {
-          throw new Error(`Unauthorized (401). API key may be invalid or expired. Response: ${errorText}`);
+    for (let attempt = 1; ; attempt++) {
+      console.error(`[DEBUG] Making ${method} request to: ${loggedUrl} (attempt ${attempt}/${maxAttempts})`);
+
+      let response;
+      let responseText;
+      try {
+        ({ response, responseText } = await this.send(url, options, `${method} ${endpoint}`));
+      } catch (error) {
+        console.error(`[DEBUG] API call failed: ${error.message}`);
+        if (attempt < maxAttempts) {
+          await this.waitBeforeRetry(attempt, null);
+          continue;
         }
-        
-        throw new Error(`Harmonic API error: ${response.status} - ${errorText}`);
+        throw new HarmonicApiError(
+          `Failed to make Harmonic API request: ${error.message || error}`,
+          { attempts: attempt, retryable: true }
+        );
       }
 
-      const data = await response.json();
-      console.error(`[DEBUG] API call successful`);
-      return data;
-    } catch (error) {
-      console.error(`[DEBUG] API call failed: ${error.message}`);
-      throw new Error(`Failed to make Harmonic API request: ${error.message || error}`);
+      if (response.ok) {
+        try {
+          const data = JSON.parse(responseText);
+          console.error(`[DEBUG] API call successful`);
+          if (key) this.cache.set(key, endpoint, data);
+          return data;
+        } catch (error) {
+          throw new HarmonicApiError(
+            `Failed to make Harmonic API request: invalid JSON response (${error.message})`,
+            { status: response.status, attempts: attempt }
+          );
+        }
+      }
+
+      const errorText = responseText;
+      console.error(`[DEBUG] API Response: ${response.status} - ${errorText}`);
+
+      if (response.status === 403) {
+        throw new HarmonicApiError(
+          `Authentication failed (403). Please check your API key. Response: ${errorText}`,
+          { status: 403, attempts: attempt }
+        );
+      } else if (response.status === 401) {
+        throw new HarmonicApiError(
+          `Unauthorized (401). API key may be invalid or expired. Response: ${errorText}`,
+          { status: 401, attempts: attempt }
+        );
+      }
+
+      const retryable = isRetryableStatus(response.status);
+      const retryAfterMs = (response.status === 429 || response.status === 503)
+        ? parseRetryAfter(response.headers.get('retry-after'))
+        : null;
+      const waitTooLong = retryAfterMs !== null && retryAfterMs > this.retry.maxRetryAfterMs;
+
+      if (retryable && attempt < maxAttempts && !waitTooLong) {
+        await this.waitBeforeRetry(attempt, retryAfterMs);
+        continue;
+      }
+
+      throw new HarmonicApiError(
+        `Failed to make Harmonic API request: Harmonic API error: ${response.status} - ${errorText}`,
+        { status: response.status, attempts: attempt, retryable, retryAfterMs }
+      );
     }
   }
 
-  async searchCompaniesByDomain(domain) {
+  // Every attempt, including retries, goes through the shared scheduler. The
+  // body is read inside the task so the slot is held until the response is done.
+  async send(url, options, label) {
+    const task = async () => {
+      const response = await fetch(url, options);
+      return { response, responseText: await response.text() };
+    };
+    return this.scheduler ? this.scheduler.schedule(task, label) : task();
+  }
+
+  async waitBeforeRetry(attempt, retryAfterMs) {
+    const delay = retryAfterMs !== null ? retryAfterMs : computeBackoff(attempt, this.retry);
+    console.error(`[DEBUG] Retrying in ${delay}ms${retryAfterMs !== null ? ' (Retry-After)' : ''}`);
+    await sleep(delay);
+  }
+
+  async searchCompaniesByDomain(domain, options = {}) {
+    return this.enrichCompany({ website_domain: domain }, options);
+  }
+
+  // Company enrichment by one identifier: website_domain, linkedin_url or crunchbase_url
+  async enrichCompany(identifier, options = {}) {
     // Using POST method as shown in the docs
-    return this.makeRequest('/companies', 'POST', { website_domain: domain });
+    // A lookup has no side effects, so it is safe to retry and cache
+    return this.makeRequest('/companies', 'POST', identifier, { ...options, idempotent: true });
+  }
+
+  async getCompanyById(companyId, options = {}) {
+    return this.makeRequest(`/companies/${encodeURIComponent(companyId)}`, 'GET', {}, options);
+  }
+
+  async getPersonById(personId, options = {}) {
+    return this.makeRequest(`/people/${encodeURIComponent(personId)}`, 'GET', {}, options);
+  }
+
+  async enrichPersonByLinkedIn(linkedinUrl, options = {}) {
+    // Enrichment is a lookup, so it is safe to retry and cache like a GET
+    return this.makeRequest('/persons', 'POST', { linkedin_url: linkedinUrl }, { ...options, idempotent: true });
   }
 
-  async searchCompanies(query, size = 50, cursor = null) {
+  async searchCompanies(query, size = 50, cursor = null, options = {}) {
     const params = { q: query, size };
     if (cursor) params.cursor = cursor;
-    return this.makeRequest('/companies', 'GET', params);
+    return this.makeRequest('/companies', 'GET', params, options);
+  }
+
+  // Structured search with a Harmonic query ({ filter_group, sort }) in the body.
+  // It only reads, so it is retried and cached like a GET.
+  async searchCompaniesByQuery(query, size = 50, cursor = null, options = {}) {
+    const params = { size };
+    if (cursor) params.cursor = cursor;
+    return this.makeRequest('/search/companies', 'POST', params, { ...options, body: query, idempotent: true });
+  }
+
+  async getSimilarCompanies(companyId, size = 10, options = {}) {
+    return this.makeRequest(`/search/similar_companies/${encodeURIComponent(companyId)}`, 'GET', { size }, options);
   }
 
-  async searchPeople(query, size = 50, cursor = null) {
+  async searchPeople(query, size = 50, cursor = null, options = {}) {
     const params = { q: query, size };
     if (cursor) params.cursor = cursor;
-    return this.makeRequest('/people', 'GET', params);
+    return this.makeRequest('/people', 'GET', params, options);
+  }
+
+  async listSavedSearches(options = {}) {
+    return this.makeRequest('/saved_searches', 'GET', {}, options);
+  }
+
+  async createSavedSearch(definition) {
+    return this.makeRequest('/saved_searches', 'POST', {}, { body: definition });
+  }
+
+  async updateSavedSearch(searchId, definition) {
+    return this.makeRequest(`/saved_searches/${encodeURIComponent(searchId)}`, 'PUT', {}, { body: definition });
+  }
+
+  async getSavedSearchResults(searchId, size = 50, cursor = null, options = {}) {
+    const params = { size };
+    if (cursor) params.cursor = cursor;
+    return this.makeRequest(`/saved_searches:results/${searchId}`, 'GET', params, options);
+  }
+
+  async listWatchlists(type, options = {}) {
+    return this.makeRequest(`/watchlists/${type}`, 'GET', {}, options);
   }
 
-  async getSavedSearchResults(searchId, size = 50, cursor = null) {
+  async getWatchlistEntries(type, watchlistId, size = 50, cursor = null, options = {}) {
     const params = { size };
     if (cursor) params.cursor = cursor;
-    return this.makeRequest(`/saved_searches:results/${searchId}`, 'GET', params);
+    return this.makeRequest(`/watchlists/${type}/${encodeURIComponent(watchlistId)}/entries`, 'GET', params, options);
+  }
+
+  // action is the endpoint's verb, e.g. addCompanies or removePeople
+  async updateWatchlist(type, watchlistId, action, urns) {
+    return this.makeRequest(`/watchlists/${type}/${encodeURIComponent(watchlistId)}:${action}`, 'POST', {}, { body: { urns } });
   }
 
-  async getEmployeesFromCompany(companyId, size = 50, cursor = null) {
+  async getEmployeesFromCompany(companyId, size = 50, cursor = null, options = {}) {
     const params = { size };
     if (cursor) params.cursor = cursor;
-    return this.makeRequest(`/companies/${companyId}/employees`, 'GET', params);
+    return this.makeRequest(`/companies/${companyId}/employees`, 'GET', params, options);
   }
 }
 
 class HarmonicMCPServer {
-  constructor() {
-    this.server = new Server(
+  constructor(config) {
+    this.config = config;
+    // Resolved once so a bad --profile or --api-base fails at startup rather
+    // than per session
+    this.credentials = resolveCredentials(config);
+    this.apiBase = getApiBase(config);
+    if (this.apiBase !== DEFAULT_API_BASE) console.error(`[DEBUG] Using Harmonic API at ${this.apiBase}`);
+    // One MCP Server and session per connection: a single one for stdio, one
+    // per HTTP session. Keyed by session ID.
+    this.sessions = new Map();
+    // Harmonic's rate limit applies per API key, so sessions using the same
+    // key share a scheduler. Keyed by key fingerprint.
+    this.schedulers = new Map();
+
+    this.setupErrorHandling();
+    
+    console.error("[DEBUG] Harmonic MCP server initialized");
+  }
+
+  // Only the stdio session (one local user, stable across restarts) may
+  // persist its cache to disk
+  createSession({ persistent = false, sessionId } = {}) {
+    const cacheOptions = getCacheOptions(this.config);
+    const session = new HarmonicSession({
+      id: persistent ? "stdio" : sessionId,
+      cache: persistent ? cacheOptions : { ...cacheOptions, file: null },
+    });
+    this.authenticateFromConfig(session);
+    return session;
+  }
+
+  createServer(options = {}) {
+    const session = this.createSession(options);
+    const server = new Server(
       {
         name: "harmonic-mcp-server",
         version: "1.0.0",
@@ -105,26 +404,417 @@ class HarmonicMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    this.setupToolHandlers();
-    this.setupErrorHandling();
-    
-    console.error("[DEBUG] Harmonic MCP server initialized");
+    this.setupToolHandlers(server, session);
+    this.setupResourceHandlers(server, session);
+    this.setupPromptHandlers(server, session);
+    server.onerror = (error) => console.error("[MCP Error]", error);
+    server.onclose = () => {
+      session.close();
+      this.sessions.delete(session.id);
+      this.pruneSchedulers();
+      console.error(`[DEBUG] Session ${session.id} closed`);
+    };
+    this.sessions.set(session.id, { session, server });
+    return server;
+  }
+
+  // Close HTTP sessions nobody has used for idleTimeoutMinutes
+  startIdleSweeper() {
+    const timeoutMs = getSessionOptions(this.config).idleTimeoutMinutes * 60 * 1000;
+    if (timeoutMs <= 0) return;
+
+    const timer = setInterval(() => {
+      for (const { session, server } of this.sessions.values()) {
+        if (session.idleMs() > timeoutMs) {
+          console.error(`[DEBUG] Session ${session.id} idle for ${Math.round(session.idleMs() / 1000)}s, closing`);
+          server.close().catch((error) => console.error("[MCP Error]", error));
+        }
+      }
+    }, Math.min(timeoutMs, 60 * 1000));
+    timer.unref();
+  }
+
+  authenticateFromConfig(session) {
+    if (!this.credentials) {
+      console.error("[DEBUG] No API key configured, waiting for harmonic_set_api_key");
+      return;
+    }
+    session.client = this.createClient(this.credentials.apiKey, session);
+    session.activeProfile = this.credentials.profile;
+    console.error(`[DEBUG] Session ${session.id} authenticated from ${this.credentials.source}`);
+  }
+
+  createClient(apiKey, session) {
+    return new HarmonicClient({
+      apiKey,
+      apiBase: this.apiBase,
+      ...getClientOptions(this.config),
+      scheduler: this.schedulerFor(apiKey),
+      cache: session.cache,
+    });
+  }
+
+  schedulerFor(apiKey) {
+    const key = fingerprint(apiKey);
+    if (!this.schedulers.has(key)) this.schedulers.set(key, new RequestScheduler(getRateLimitOptions(this.config)));
+    return this.schedulers.get(key);
+  }
+
+  // Drop schedulers for keys no open session uses any more. Requests already
+  // queued on a dropped scheduler still run: the old client holds onto it.
+  pruneSchedulers() {
+    const inUse = new Set(
+      [...this.sessions.values()].filter(({ session }) => session.client).map(({ session }) => fingerprint(session.client.apiKey))
+    );
+    for (const key of this.schedulers.keys()) {
+      if (!inUse.has(key)) this.schedulers.delete(key);
+    }
+  }
+
+  getClient(session) {
+    if (!session.client) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        "Harmonic API key not set. Set HARMONIC_API_KEY, start the server with --config/--profile, or use harmonic_set_api_key first."
+      );
+    }
+    return session.client;
+  }
+
+  // A function that sends a progress notification, or undefined when the
+  // client didn't supply a progress token
+  progressNotifier(extra) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined) return undefined;
+    return (progress, total, message) => extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress, total, message },
+    });
+  }
+
+  // Walk every page of a list endpoint for fetch_all / max_results, sending
+  // progress notifications when the client supplied a progress token
+  async fetchAllPages(extra, fetchPage, { cursor, size, max_results }) {
+    const notify = this.progressNotifier(extra);
+    const onProgress = notify && (({ fetched, total, pages }) =>
+      notify(fetched, total, `Fetched ${fetched} results from ${pages} page${pages === 1 ? "" : "s"}`));
+
+    return collectPages(fetchPage, {
+      startCursor: cursor || null,
+      pageSize: size,
+      maxResults: max_results || DEFAULT_MAX_RESULTS,
+      onProgress,
+    });
+  }
+
+  // Serialize a tool result, applying the caller's fields / detail options and
+  // noting how much was left out
+  formatToolResult(results, args = {}) {
+    const { fields, detail = "full", output_format = "json" } = args;
+    if (output_format !== "json") {
+      return this.formatTableResult(results, output_format, parseFields(fields));
+    }
+
+    const { data, omitted } = shapeResponse(results, { fields, detail });
+    const content = [
+      {
+        type: "text",
+        text: JSON.stringify(data, null, 2),
+      },
+    ];
+
+    if (omitted > 0) {
+      const mode = parseFields(fields).length ? "fields projection" : "summary detail";
+      content.push({
+        type: "text",
+        text: `${omitted} field${omitted === 1 ? " was" : "s were"} left out by the ${mode}. Use detail: "full" or add paths to fields to include them.`,
+      });
+    }
+
+    return { content };
+  }
+
+  // Markdown and CSV renderings of a list result. Tables use a fixed column
+  // set per entity type unless the caller chose columns with `fields`.
+  formatTableResult(results, format, fields) {
+    if (!["markdown", "csv"].includes(format)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${format}`);
+    }
+
+    const items = pageItems(results);
+    const content = [
+      {
+        type: "text",
+        text: items.length ? renderTable(items, { format, fields }) : "No results.",
+      },
+    ];
+
+    const next = nextCursor(results);
+    const total = typeof results?.count === "number" ? ` of ${results.count}` : "";
+    content.push({
+      type: "text",
+      text: `Showing ${items.length}${total} results.${next ? ` Next cursor: ${next}` : ""}`,
+    });
+
+    return { content };
+  }
+
+  // Page fetcher for harmonic_export's source, checking its identifying argument
+  exportPageFetcher(client, { source, search_id, query, company_id, bypass_cache = false }) {
+    const options = { bypassCache: bypass_cache };
+    const requireArg = (value, argName) => {
+      if (!value) {
+        throw new McpError(ErrorCode.InvalidParams, `source "${source}" requires ${argName}`);
+      }
+    };
+
+    switch (source) {
+      case "saved_search":
+        requireArg(search_id, "search_id");
+        return (cursor, size) => client.getSavedSearchResults(search_id, size, cursor, options);
+      case "company_search":
+        requireArg(query, "query");
+        return (cursor, size) => client.searchCompanies(query, size, cursor, options);
+      case "people_search":
+        requireArg(query, "query");
+        return (cursor, size) => client.searchPeople(query, size, cursor, options);
+      case "company_employees":
+        requireArg(company_id, "company_id");
+        return (cursor, size) => client.getEmployeesFromCompany(company_id, size, cursor, options);
+      default:
+        throw new McpError(ErrorCode.InvalidParams, `Unknown export source: ${source}`);
+    }
+  }
+
+  // Look up a batch of domains with bounded concurrency. Every input gets a
+  // row: matched, not_found or error; one failed lookup never fails the batch.
+  async enrichCompanies(client, extra, inputs, { concurrency, bypassCache }) {
+    const { rows, domains, lookups } = planLookups(inputs);
+    const notify = this.progressNotifier(extra);
+    let done = 0;
+
+    const outcomes = await mapSettled(domains, concurrency, async (domain) => {
+      try {
+        return await client.searchCompaniesByDomain(domain, { bypassCache });
+      } finally {
+        done++;
+        notify?.(done, domains.length, `Looked up ${done} of ${domains.length} domains`);
+      }
+    });
+
+    domains.forEach((domain, index) => {
+      const outcome = lookupOutcome(outcomes[index]);
+      for (const row of lookups.get(domain)) Object.assign(row, outcome);
+    });
+    return rows;
+  }
+
+  // Fetch one company by whatever identifier detectCompanyIdentifier found:
+  // IDs go to GET /companies/{id}, everything else to the enrichment endpoint.
+  // Returns the company record, or null when Harmonic doesn't know it.
+  async getCompany(client, identifier, { bypassCache }) {
+    let data;
+    try {
+      data = identifier.type === "id"
+        ? await client.getCompanyById(identifier.value, { bypassCache })
+        : await client.enrichCompany(
+            { [identifier.type === "domain" ? "website_domain" : identifier.type]: identifier.value },
+            { bypassCache }
+          );
+    } catch (error) {
+      if (error instanceof HarmonicApiError && error.status === 404) return null;
+      throw error;
+    }
+    const company = firstEntity(data);
+    return company && typeof company === "object" && Object.keys(company).length > 0 ? company : null;
+  }
+
+  // Look a saved search up by ID, URN or name in the account's list
+  async resolveSavedSearch(client, reference, { bypassCache = false } = {}) {
+    const searches = savedSearchList(await client.listSavedSearches({ bypassCache }));
+    let search;
+    try {
+      search = findSavedSearch(searches, reference);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    if (!search) {
+      throw new McpError(ErrorCode.InvalidParams, `No saved search matches "${reference}". Use harmonic_list_saved_searches to see what exists.`);
+    }
+    return search;
+  }
+
+  // Harmonic's similar companies for a target, loaded in full (the endpoint
+  // may return bare URNs), filtered and kept in Harmonic's ranking order
+  async findSimilarCompanies(client, target, { size, filters, bypassCache }) {
+    const requested = filters.active ? Math.min(size * FILTER_OVERFETCH, 100) : size;
+    const candidates = pageItems(
+      await client.getSimilarCompanies(target.id ?? target.entity_urn, requested, { bypassCache })
+    );
+
+    const outcomes = await mapSettled(candidates, DEFAULT_BATCH_CONCURRENCY, async (candidate) => {
+      if (candidate && typeof candidate === "object" && candidate.name) return candidate;
+      const reference = typeof candidate === "object" ? candidate?.entity_urn ?? candidate?.urn ?? candidate?.id : candidate;
+      const identifier = detectCompanyIdentifier(reference);
+      return identifier?.type === "id" ? this.getCompany(client, identifier, { bypassCache }) : null;
+    });
+
+    const loaded = outcomes
+      .map(({ value }, index) => ({ company: value, similarity_rank: index + 1 }))
+      .filter(({ company }) => company);
+    const matching = loaded.filter(({ company }) => matchesPeerFilters(company, filters));
+    const peers = matching
+      .slice(0, size)
+      .map((peer, index) => ({ rank: index + 1, ...peer, reasons: peerReasons(target, peer.company) }));
+
+    return {
+      peers,
+      candidates: candidates.length,
+      unavailable: candidates.length - loaded.length,
+      filtered_out: loaded.length - matching.length,
+    };
+  }
+
+  // Load our team members' full records from person IDs, URNs or LinkedIn URLs
+  async resolveTeamMembers(client, members, { bypassCache }) {
+    const outcomes = await mapSettled(members, DEFAULT_BATCH_CONCURRENCY, async ({ reference }) => {
+      const linkedin = parseLinkedInUrl(reference);
+      if (linkedin?.type === "in") {
+        return firstEntity(await client.enrichPersonByLinkedIn(linkedin.url, { bypassCache }));
+      }
+      const urn = entityUrn(reference, "people");
+      if (!urn) throw new Error("Not a Harmonic person ID, URN or LinkedIn profile URL");
+      return firstEntity(await client.getPersonById(urn.split(":").pop(), { bypassCache }));
+    });
+
+    const resolved = [];
+    const unresolved = [];
+    outcomes.forEach(({ value, error }, index) => {
+      const member = members[index];
+      if (error || !value || typeof value !== "object") {
+        unresolved.push({ ...member, error: error ? error.message || String(error) : "Person not found" });
+      } else {
+        resolved.push({ ...value, full_name: value.full_name || member.name });
+      }
+    });
+    return { resolved, unresolved };
+  }
+
+  // Employee lists may hold bare URNs or stubs; fetch the full person record
+  // for each. Entries that can't be loaded are counted.
+  async resolvePeople(client, items, { bypassCache = false } = {}) {
+    const outcomes = await mapSettled(items, DEFAULT_BATCH_CONCURRENCY, async (item) => {
+      if (item && typeof item === "object" && Array.isArray(item.experience)) return item;
+      const urn = entityUrn(typeof item === "object" ? item?.entity_urn ?? item?.id : item, "people");
+      return urn ? firstEntity(await client.getPersonById(urn.split(":").pop(), { bypassCache })) : null;
+    });
+    const people = outcomes.map(({ value }) => value).filter((value) => value && typeof value === "object");
+    return { people, unresolved: items.length - people.length };
+  }
+
+  // A company's employees with their experience and education. The employees
+  // endpoint may return bare URNs, which are loaded one by one.
+  async loadEmployees(client, extra, companyId, { maxEmployees, bypassCache }) {
+    const page = await this.fetchAllPages(
+      extra,
+      (pageCursor, pageSize) => client.getEmployeesFromCompany(companyId, pageSize, pageCursor, { bypassCache }),
+      { size: 100, max_results: maxEmployees }
+    );
+    const { people } = await this.resolvePeople(client, page.results, { bypassCache });
+    return {
+      employees: people,
+      total: page.count,
+      stoppedAtCap: page.pagination.stopped_at_cap,
+    };
+  }
+
+  // Turn watchlist entity references into URNs. Companies may be given by ID,
+  // URN or anything harmonic_get_company accepts; people by ID or URN.
+  async resolveWatchlistEntities(client, type, inputs) {
+    const outcomes = await mapSettled(inputs, DEFAULT_BATCH_CONCURRENCY, async (input) => {
+      const urn = entityUrn(input, type);
+      if (urn) return { urn };
+      if (type === "people") throw new Error("People are added and removed by Harmonic ID or URN");
+
+      const identifier = detectCompanyIdentifier(input);
+      if (!identifier) throw new Error("Not a company ID, URN, domain or URL");
+      const company = await this.getCompany(client, identifier, { bypassCache: false });
+      if (!company) throw new Error(`No company found for ${identifier.value}`);
+      return {
+        urn: company.entity_urn || `${WATCHLIST_TYPES.companies.urnPrefix}${company.id}`,
+        name: company.name,
+      };
+    });
+
+    const resolved = [];
+    const unresolved = [];
+    outcomes.forEach(({ value, error }, index) => {
+      if (error) unresolved.push({ input: inputs[index], error: error.message || String(error) });
+      else resolved.push({ input: inputs[index], ...value });
+    });
+    return { resolved, unresolved };
+  }
+
+  // Saved search snapshots belong to the active profile, or to the API key
+  // when it was set directly
+  snapshotStore(session) {
+    const client = this.getClient(session);
+    const owner = session.activeProfile ? `profile-${session.activeProfile}` : `key-${fingerprint(client.apiKey)}`;
+    return new SnapshotStore(getStateDirectory(this.config), owner);
+  }
+
+  // Resolve a LinkedIn URL or email to a person. A LinkedIn URL is tried
+  // against the enrichment endpoint first; otherwise, or if it finds nothing,
+  // people search hits are scored and either resolve to one exact match or
+  // come back as ranked candidates.
+  async lookupPerson(client, target, { maxCandidates, bypassCache }) {
+    if (target.linkedin) {
+      try {
+        const person = firstEntity(await client.enrichPersonByLinkedIn(target.linkedin.url, { bypassCache }));
+        if (person && typeof person === "object" && Object.keys(person).length > 0) {
+          return { status: "matched", matched_by: "linkedin_url", confidence: 1, person };
+        }
+      } catch (error) {
+        if (!(error instanceof HarmonicApiError && error.status === 404)) throw error;
+      }
+    }
+
+    const seen = new Map();
+    let ranked = { status: "not_found", candidates: [] };
+    for (const query of searchQueries(target)) {
+      const page = await client.searchPeople(query, 25, null, { bypassCache });
+      for (const person of pageItems(page)) {
+        if (person && typeof person === "object") seen.set(person.entity_urn ?? person.id, person);
+      }
+      ranked = rankCandidates([...seen.values()], target, maxCandidates);
+      if (ranked.status === "matched") {
+        return { status: "matched", matched_by: "search", confidence: 1, reasons: ranked.match.reasons, person: ranked.match.person };
+      }
+    }
+    return ranked;
   }
 
   setupErrorHandling() {
-    this.server.onerror = (error) => console.error("[MCP Error]", error);
-    process.on("SIGINT", async () => {
-      await this.server.close();
-      process.exit(0);
+    // Persist the cache however the process ends
+    process.on("exit", () => {
+      for (const { session } of this.sessions.values()) session.cache.flush();
     });
+    const shutdown = async () => {
+      await Promise.all([...this.sessions.values()].map(({ server }) => server.close()));
+      process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  setupToolHandlers(server, session) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
         {
           name: "harmonic_set_api_key",
@@ -141,77 +831,732 @@ class HarmonicMCPServer {
           },
         },
         {
-          name: "harmonic_search_company_by_domain",
-          description: "Search for a company by its website domain",
+          name: "harmonic_list_profiles",
+          description: "List the credential profiles defined in the server config file",
+          inputSchema: {
+            type: "object",
+            properties: {},
+          },
+        },
+        {
+          name: "harmonic_switch_profile",
+          description: "Switch to another credential profile from the server config file",
           inputSchema: {
             type: "object",
             properties: {
-              domain: {
+              profile: {
                 type: "string",
-                description: "The website domain of the company (e.g., harmonic.ai)",
+                description: "Name of the profile to switch to (e.g., fund-a)",
               },
             },
-            required: ["domain"],
+            required: ["profile"],
           },
         },
         {
-          name: "harmonic_search_companies",
-          description: "Search for companies by query",
+          name: "harmonic_cache_stats",
+          description: "Show response cache statistics (entries, hit rate and TTLs per endpoint) and the request scheduler's queue and wait times",
+          inputSchema: {
+            type: "object",
+            properties: {},
+          },
+        },
+        {
+          name: "harmonic_cache_clear",
+          description: "Clear the response cache, optionally only for one endpoint",
           inputSchema: {
             type: "object",
             properties: {
-              query: {
-                type: "string",
-                description: "Search query for companies",
-              },
-              size: {
-                type: "number",
-                description: "Number of results to return (default: 50)",
-                default: 50,
-              },
-              cursor: {
+              endpoint: {
                 type: "string",
-                description: "Cursor for pagination (optional)",
+                enum: ENDPOINT_GROUPS,
+                description: "Only clear entries for this endpoint (optional)",
               },
             },
-            required: ["query"],
           },
         },
         {
-          name: "harmonic_search_people",
-          description: "Search for people/professionals",
+          name: "harmonic_search_company_by_domain",
+          description: "Search for a company by its website domain",
           inputSchema: {
             type: "object",
             properties: {
-              query: {
+              domain: {
                 type: "string",
-                description: "Search query for people",
+                description: "The website domain of the company (e.g., harmonic.ai)",
               },
-              size: {
-                type: "number",
-                description: "Number of results to return (default: 50)",
-                default: 50,
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
               },
-              cursor: {
+              fields: {
                 type: "string",
-                description: "Cursor for pagination (optional)",
+                description: "Comma-separated dot paths to return for each result (e.g., name,website.domain,funding.funding_total)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each result or the full record (default: full)",
               },
             },
-            required: ["query"],
+            required: ["domain"],
           },
         },
         {
-          name: "harmonic_get_saved_search_results",
-          description: "Get results from a saved search",
+          name: "harmonic_get_company",
+          description: "Get a company's full profile from any identifier: Harmonic ID or URN, website domain or URL, LinkedIn company URL or Crunchbase URL",
           inputSchema: {
             type: "object",
             properties: {
-              search_id: {
+              identifier: {
                 type: "string",
-                description: "The ID of the saved search",
+                description: "e.g. 12345, urn:harmonic:company:12345, harmonic.ai, https://www.linkedin.com/company/harmonic-ai, https://www.crunchbase.com/organization/harmonic-ai",
               },
-              size: {
-                type: "number",
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return (e.g., name,website.domain,funding.funding_total)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary or the full record (default: full)",
+              },
+            },
+            required: ["identifier"],
+          },
+        },
+        {
+          name: "harmonic_find_similar_companies",
+          description: "Find companies similar to a given one (competitors and peers) using Harmonic's similar-companies ranking. Each peer comes with a short reason for the match.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              company: {
+                type: "string",
+                description: "Harmonic ID or URN, website domain, LinkedIn company URL or Crunchbase URL of the company",
+              },
+              size: {
+                type: "number",
+                description: `Number of peers to return (default: ${DEFAULT_SIMILAR_SIZE}, max: ${MAX_SIMILAR_SIZE})`,
+              },
+              stages: {
+                type: "array",
+                items: { type: "string", enum: FUNDING_STAGES },
+                description: "Only peers at one of these funding stages",
+              },
+              countries: {
+                type: "array",
+                items: { type: "string" },
+                description: "Only peers headquartered in one of these countries",
+              },
+              headcount_min: {
+                type: "number",
+                description: "Minimum peer headcount (inclusive)",
+              },
+              headcount_max: {
+                type: "number",
+                description: "Maximum peer headcount (inclusive)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown"],
+                description: "Return the peers as JSON or a markdown table (default: json)",
+              },
+            },
+            required: ["company"],
+          },
+        },
+        {
+          name: "harmonic_find_intro_paths",
+          description: "Find warm intro paths into a company: people there who share past employers (ideally at the same time) or schools with members of our team. Returns ranked paths with the overlap evidence.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              company: {
+                type: "string",
+                description: "Harmonic ID or URN, website domain, LinkedIn company URL or Crunchbase URL of the target company",
+              },
+              team_members: {
+                type: "array",
+                items: { type: "string" },
+                description: "Harmonic person IDs, URNs or LinkedIn profile URLs of our team (default: the team configured on the server)",
+              },
+              max_employees: {
+                type: "number",
+                description: `Maximum number of the company's employees to check (default: ${DEFAULT_MAX_EMPLOYEES}, max: ${MAX_EMPLOYEES})`,
+              },
+              max_paths: {
+                type: "number",
+                description: `Maximum number of paths to return (default: ${DEFAULT_MAX_PATHS})`,
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown"],
+                description: "Return the paths as JSON or a markdown table (default: json)",
+              },
+            },
+            required: ["company"],
+          },
+        },
+        {
+          name: "harmonic_compare_companies",
+          description: `Compare ${MIN_COMPARE}-${MAX_COMPARE} companies side by side on headcount, headcount growth, funding total, last round, investors, founded year and location. Returns a markdown table and a structured object; missing data is marked.`,
+          inputSchema: {
+            type: "object",
+            properties: {
+              companies: {
+                type: "array",
+                items: { type: "string" },
+                description: "Harmonic IDs or URNs, website domains, LinkedIn company URLs or Crunchbase URLs",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+            },
+            required: ["companies"],
+          },
+        },
+        {
+          name: "harmonic_company_traction",
+          description: "Headcount, web traffic and per-department headcount trends for a company: 30/90/180/365-day growth, acceleration and a compact monthly series",
+          inputSchema: {
+            type: "object",
+            properties: {
+              company: {
+                type: "string",
+                description: "Harmonic ID or URN, website domain, LinkedIn company URL or Crunchbase URL",
+              },
+              months: {
+                type: "number",
+                description: `Months of monthly series to return (default: ${DEFAULT_SERIES_MONTHS}, max: ${MAX_SERIES_MONTHS})`,
+              },
+              include_departments: {
+                type: "boolean",
+                description: "Include headcount by department where Harmonic has it (default: true)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown"],
+                description: "json (default) or markdown growth and series tables",
+              },
+            },
+            required: ["company"],
+          },
+        },
+        {
+          name: "harmonic_get_funding_rounds",
+          description: "List a company's funding rounds, newest first, with date, type, amount and lead and other investors, plus every investor and the rounds they joined",
+          inputSchema: {
+            type: "object",
+            properties: {
+              company: {
+                type: "string",
+                description: "Harmonic ID or URN, website domain, LinkedIn company URL or Crunchbase URL",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown"],
+                description: "json (default) or markdown round and investor tables",
+              },
+            },
+            required: ["company"],
+          },
+        },
+        {
+          name: "harmonic_get_investor_portfolio",
+          description: "List companies an investor has backed, newest round first, with the rounds they took part in. Filter by round stage and date range.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              investor: {
+                type: "string",
+                description: "Investor name as Harmonic records it, e.g. \"Sequoia Capital\"",
+              },
+              stages: {
+                type: "array",
+                items: { type: "string", enum: FUNDING_STAGES },
+                description: "Only rounds of these types, e.g. [\"SEED\", \"SERIES_A\"]",
+              },
+              from_date: {
+                type: "string",
+                description: "Only rounds on or after this date: YYYY, YYYY-MM or YYYY-MM-DD",
+              },
+              to_date: {
+                type: "string",
+                description: "Only rounds on or before this date: YYYY, YYYY-MM or YYYY-MM-DD",
+              },
+              max_companies: {
+                type: "number",
+                description: `Maximum number of the investor's companies to scan, most recently funded first (default: ${DEFAULT_PORTFOLIO_SCAN}, max: ${MAX_PORTFOLIO_SCAN})`,
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown"],
+                description: "json (default) or a markdown table",
+              },
+            },
+            required: ["investor"],
+          },
+        },
+        {
+          name: "harmonic_enrich_companies",
+          description: "Look up a list of company domains or website URLs in one call. Returns a status per input (matched, not_found or error) and a combined table.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domains: {
+                type: "array",
+                items: { type: "string" },
+                description: `Domains or URLs (e.g., harmonic.ai, https://www.harmonic.ai/about). Scheme, www. and paths are stripped. Up to ${MAX_BATCH_SIZE}.`,
+              },
+              concurrency: {
+                type: "number",
+                description: `How many lookups to run at once (default: ${DEFAULT_BATCH_CONCURRENCY}, max: ${MAX_BATCH_CONCURRENCY})`,
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for each matched company (e.g., name,website.domain,funding.funding_total)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each matched company or the full record (default: summary)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["markdown", "csv"],
+                description: "Format of the combined table (default: markdown)",
+              },
+            },
+            required: ["domains"],
+          },
+        },
+        {
+          name: "harmonic_search_companies",
+          description: "Search for companies by query",
+          inputSchema: {
+            type: "object",
+            properties: {
+              query: {
+                type: "string",
+                description: "Search query for companies",
+              },
+              size: {
+                type: "number",
+                description: "Number of results to return (default: 50)",
+                default: 50,
+              },
+              cursor: {
+                type: "string",
+                description: "Cursor for pagination (optional)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for each result (e.g., name,website.domain,funding.funding_total)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each result or the full record (default: full)",
+              },
+              fetch_all: {
+                type: "boolean",
+                description: "Follow cursors and return all pages merged and de-duplicated (default: false)",
+              },
+              max_results: {
+                type: "number",
+                description: `Stop after this many results when fetching all pages; implies fetch_all (default: ${DEFAULT_MAX_RESULTS})`,
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render results as JSON, a markdown table or CSV (default: json)",
+              },
+            },
+            required: ["query"],
+          },
+        },
+        {
+          name: "harmonic_enrich_person",
+          description: "Find a person from a LinkedIn profile URL or email address and return their current role, experience and education. Ambiguous matches come back as ranked candidates with confidence scores.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              linkedin_url: {
+                type: "string",
+                description: "LinkedIn profile URL (e.g., https://www.linkedin.com/in/janedoe)",
+              },
+              email: {
+                type: "string",
+                description: "Email address of the person",
+              },
+              max_candidates: {
+                type: "number",
+                description: `Maximum number of candidates to return when the match is ambiguous (default: ${DEFAULT_MAX_CANDIDATES})`,
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for the matched person or each candidate (e.g., full_name,experience.title,location)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a summary of a matched person (current roles, experience, education) or the full record (default: summary)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+            },
+          },
+        },
+        {
+          name: "harmonic_search_companies_advanced",
+          description: "Search companies with structured filters: headcount, funding stage and total, location, founding date and industry tags, with optional sorting. Filters are combined with AND.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              headcount_min: {
+                type: "number",
+                description: "Minimum headcount (inclusive)",
+              },
+              headcount_max: {
+                type: "number",
+                description: "Maximum headcount (inclusive)",
+              },
+              stages: {
+                type: "array",
+                items: { type: "string", enum: FUNDING_STAGES },
+                description: "Only companies at one of these funding stages",
+              },
+              exclude_stages: {
+                type: "array",
+                items: { type: "string", enum: FUNDING_STAGES },
+                description: "Leave out companies at these funding stages",
+              },
+              funding_total_min: {
+                type: "number",
+                description: "Minimum total funding in USD (inclusive)",
+              },
+              funding_total_max: {
+                type: "number",
+                description: "Maximum total funding in USD (inclusive)",
+              },
+              countries: {
+                type: "array",
+                items: { type: "string" },
+                description: "Headquarters country, e.g. [\"Germany\"]",
+              },
+              regions: {
+                type: "array",
+                items: { type: "string" },
+                description: "Headquarters state or region, e.g. [\"California\"]",
+              },
+              cities: {
+                type: "array",
+                items: { type: "string" },
+                description: "Headquarters city, e.g. [\"Berlin\"]",
+              },
+              founded_after: {
+                type: "string",
+                description: "Earliest founding date, inclusive: YYYY, YYYY-MM or YYYY-MM-DD",
+              },
+              founded_before: {
+                type: "string",
+                description: "Latest founding date, inclusive: YYYY, YYYY-MM or YYYY-MM-DD",
+              },
+              industry_tags: {
+                type: "array",
+                items: { type: "string" },
+                description: "Industry or technology tags, e.g. [\"Fintech\", \"B2B\"]",
+              },
+              tag_match: {
+                type: "string",
+                enum: ["any", "all"],
+                description: "Match companies with any or all of industry_tags (default: any)",
+              },
+              investors: {
+                type: "array",
+                items: { type: "string" },
+                description: "Only companies backed by one of these investors, by name",
+              },
+              sort_by: {
+                type: "string",
+                enum: Object.keys(SORT_FIELDS),
+                description: "Field to sort results by",
+              },
+              sort_order: {
+                type: "string",
+                enum: ["asc", "desc"],
+                description: "Sort direction (default: desc)",
+              },
+              size: {
+                type: "number",
+                description: "Number of results to return (default: 50)",
+              },
+              cursor: {
+                type: "string",
+                description: "Pagination cursor for next page",
+              },
+              include_query: {
+                type: "boolean",
+                description: "Also return the Harmonic query the filters were translated into, e.g. to save it with harmonic_create_saved_search (default: false)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for each result",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each result or the full record (default: full)",
+              },
+              fetch_all: {
+                type: "boolean",
+                description: "Follow cursors and return every page, up to max_results (default: false)",
+              },
+              max_results: {
+                type: "number",
+                description: `Stop auto-pagination after this many results (default: ${DEFAULT_MAX_RESULTS})`,
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render results as JSON, a markdown table or CSV (default: json)",
+              },
+            },
+          },
+        },
+        {
+          name: "harmonic_search_people",
+          description: "Search for people/professionals",
+          inputSchema: {
+            type: "object",
+            properties: {
+              query: {
+                type: "string",
+                description: "Search query for people",
+              },
+              size: {
+                type: "number",
+                description: "Number of results to return (default: 50)",
+                default: 50,
+              },
+              cursor: {
+                type: "string",
+                description: "Cursor for pagination (optional)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for each result (e.g., full_name,experience.title,location)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each result or the full record (default: full)",
+              },
+              fetch_all: {
+                type: "boolean",
+                description: "Follow cursors and return all pages merged and de-duplicated (default: false)",
+              },
+              max_results: {
+                type: "number",
+                description: `Stop after this many results when fetching all pages; implies fetch_all (default: ${DEFAULT_MAX_RESULTS})`,
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render results as JSON, a markdown table or CSV (default: json)",
+              },
+            },
+            required: ["query"],
+          },
+        },
+        {
+          name: "harmonic_list_saved_searches",
+          description: "List the account's saved searches with their names, types and IDs",
+          inputSchema: {
+            type: "object",
+            properties: {
+              type: {
+                type: "string",
+                enum: SAVED_SEARCH_TYPES,
+                description: "Only list company (COMPANIES_LIST) or people (PERSONS) searches",
+              },
+              name_contains: {
+                type: "string",
+                description: "Only list searches whose name contains this text (case-insensitive)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render the list as JSON, a markdown table or CSV (default: json)",
+              },
+            },
+          },
+        },
+        {
+          name: "harmonic_get_saved_search",
+          description: "Show a saved search's definition: name, type and query",
+          inputSchema: {
+            type: "object",
+            properties: {
+              search: {
+                type: "string",
+                description: "ID, URN or exact name of the saved search",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+            },
+            required: ["search"],
+          },
+        },
+        {
+          name: "harmonic_create_saved_search",
+          description: "Create a saved search from a structured query",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Name of the saved search",
+              },
+              type: {
+                type: "string",
+                enum: SAVED_SEARCH_TYPES,
+                description: "Search companies (COMPANIES_LIST) or people (PERSONS)",
+              },
+              query: {
+                type: "object",
+                description: "Harmonic search query, e.g. {\"filter_group\": {\"join_operator\": \"and\", \"filters\": [{\"field\": \"company_headcount\", \"comparator\": \"greaterThan\", \"filter_value\": 50}]}}. Use harmonic_get_saved_search on an existing search for examples.",
+              },
+              is_private: {
+                type: "boolean",
+                description: "Only visible to you rather than your team (default: false)",
+              },
+            },
+            required: ["name", "type", "query"],
+          },
+        },
+        {
+          name: "harmonic_update_saved_search",
+          description: "Rename a saved search or replace its query. Fields left out keep their current value.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              search: {
+                type: "string",
+                description: "ID, URN or exact name of the saved search",
+              },
+              name: {
+                type: "string",
+                description: "New name",
+              },
+              query: {
+                type: "object",
+                description: "New Harmonic search query (replaces the current one)",
+              },
+              is_private: {
+                type: "boolean",
+                description: "Only visible to you rather than your team",
+              },
+            },
+            required: ["search"],
+          },
+        },
+        {
+          name: "harmonic_saved_search_diff",
+          description: "Show what changed in a saved search since the last check: entities added and removed, and changes to headcount, funding and other key fields. Saves a new snapshot for next time.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              search_id: {
+                type: "string",
+                description: "The ID of the saved search",
+              },
+              max_results: {
+                type: "number",
+                description: `Maximum number of results to fetch and snapshot (default: ${DEFAULT_DIFF_MAX_RESULTS})`,
+              },
+              update_snapshot: {
+                type: "boolean",
+                description: "Replace the stored snapshot with this run's results (default: true). Set false to peek without moving the baseline.",
+              },
+            },
+            required: ["search_id"],
+          },
+        },
+        {
+          name: "harmonic_saved_search_reset",
+          description: "Forget the stored snapshot for a saved search, or every snapshot for the current profile, so the next diff starts a new baseline",
+          inputSchema: {
+            type: "object",
+            properties: {
+              search_id: {
+                type: "string",
+                description: "The ID of the saved search (omit to reset all snapshots for the current profile)",
+              },
+            },
+          },
+        },
+        {
+          name: "harmonic_get_saved_search_results",
+          description: "Get results from a saved search",
+          inputSchema: {
+            type: "object",
+            properties: {
+              search_id: {
+                type: "string",
+                description: "The ID of the saved search",
+              },
+              size: {
+                type: "number",
                 description: "Number of results to return (default: 50)",
                 default: 50,
               },
@@ -219,10 +1564,168 @@ class HarmonicMCPServer {
                 type: "string",
                 description: "Cursor for pagination (optional)",
               },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for each result (e.g., name,website.domain for company searches or full_name,experience.title for people searches)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each result or the full record (default: full)",
+              },
+              fetch_all: {
+                type: "boolean",
+                description: "Follow cursors and return all pages merged and de-duplicated (default: false)",
+              },
+              max_results: {
+                type: "number",
+                description: `Stop after this many results when fetching all pages; implies fetch_all (default: ${DEFAULT_MAX_RESULTS})`,
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render results as JSON, a markdown table or CSV (default: json)",
+              },
             },
             required: ["search_id"],
           },
         },
+        {
+          name: "harmonic_list_watchlists",
+          description: "List the account's company and people lists (watchlists) with their names and IDs",
+          inputSchema: {
+            type: "object",
+            properties: {
+              type: {
+                type: "string",
+                enum: Object.keys(WATCHLIST_TYPES),
+                description: "Only list company or people lists (default: both)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render the lists as JSON, a markdown table or CSV (default: json)",
+              },
+            },
+          },
+        },
+        {
+          name: "harmonic_get_watchlist_entries",
+          description: "Get the companies or people in a list (watchlist)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              watchlist_id: {
+                type: "string",
+                description: "ID or URN of the list",
+              },
+              type: {
+                type: "string",
+                enum: Object.keys(WATCHLIST_TYPES),
+                description: "Whether this is a company or people list (default: companies)",
+              },
+              size: {
+                type: "number",
+                description: "Number of results to return (default: 50)",
+              },
+              cursor: {
+                type: "string",
+                description: "Pagination cursor for next page",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for each result",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each result or the full record (default: full)",
+              },
+              fetch_all: {
+                type: "boolean",
+                description: "Follow cursors and return every page, up to max_results (default: false)",
+              },
+              max_results: {
+                type: "number",
+                description: `Stop auto-pagination after this many results (default: ${DEFAULT_MAX_RESULTS})`,
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render results as JSON, a markdown table or CSV (default: json)",
+              },
+            },
+            required: ["watchlist_id"],
+          },
+        },
+        {
+          name: "harmonic_add_watchlist_entries",
+          description: "Add companies or people to a list (watchlist). Without confirm: true this only previews the change.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              watchlist_id: {
+                type: "string",
+                description: "ID or URN of the list",
+              },
+              type: {
+                type: "string",
+                enum: Object.keys(WATCHLIST_TYPES),
+                description: "Whether this is a company or people list (default: companies)",
+              },
+              entities: {
+                type: "array",
+                items: { type: "string" },
+                description: "Companies by Harmonic ID, URN, domain, LinkedIn or Crunchbase URL; people by Harmonic ID or URN",
+              },
+              confirm: {
+                type: "boolean",
+                description: "Must be true to change the list. Leave it out to preview what would change.",
+              },
+            },
+            required: ["watchlist_id", "entities"],
+          },
+        },
+        {
+          name: "harmonic_remove_watchlist_entries",
+          description: "Remove companies or people from a list (watchlist). Without confirm: true this only previews the change.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              watchlist_id: {
+                type: "string",
+                description: "ID or URN of the list",
+              },
+              type: {
+                type: "string",
+                enum: Object.keys(WATCHLIST_TYPES),
+                description: "Whether this is a company or people list (default: companies)",
+              },
+              entities: {
+                type: "array",
+                items: { type: "string" },
+                description: "Companies by Harmonic ID, URN, domain, LinkedIn or Crunchbase URL; people by Harmonic ID or URN",
+              },
+              confirm: {
+                type: "boolean",
+                description: "Must be true to change the list. Leave it out to preview what would change.",
+              },
+            },
+            required: ["watchlist_id", "entities"],
+          },
+        },
         {
           name: "harmonic_get_company_employees",
           description: "Get all active employees from a company",
@@ -242,130 +1745,1049 @@ class HarmonicMCPServer {
                 type: "string",
                 description: "Cursor for pagination (optional)",
               },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+              fields: {
+                type: "string",
+                description: "Comma-separated dot paths to return for each result (e.g., full_name,experience.title,location)",
+              },
+              detail: {
+                type: "string",
+                enum: ["summary", "full"],
+                description: "Return a compact summary of each result or the full record (default: full)",
+              },
+              fetch_all: {
+                type: "boolean",
+                description: "Follow cursors and return all pages merged and de-duplicated (default: false)",
+              },
+              max_results: {
+                type: "number",
+                description: `Stop after this many results when fetching all pages; implies fetch_all (default: ${DEFAULT_MAX_RESULTS})`,
+              },
+              output_format: {
+                type: "string",
+                enum: ["json", "markdown", "csv"],
+                description: "Render results as JSON, a markdown table or CSV (default: json)",
+              },
             },
             required: ["company_id"],
           },
         },
+        {
+          name: "harmonic_export",
+          description: "Run a search or employee query, fetch every page and write the results to a CSV or JSONL file in the export directory",
+          inputSchema: {
+            type: "object",
+            properties: {
+              source: {
+                type: "string",
+                enum: ["saved_search", "company_search", "people_search", "company_employees"],
+                description: "Which query to export",
+              },
+              search_id: {
+                type: "string",
+                description: "The ID of the saved search (source: saved_search)",
+              },
+              query: {
+                type: "string",
+                description: "Search query (source: company_search or people_search)",
+              },
+              company_id: {
+                type: "string",
+                description: "The ID of the company (source: company_employees)",
+              },
+              format: {
+                type: "string",
+                enum: EXPORT_FORMATS,
+                description: "File format (default: csv)",
+              },
+              filename: {
+                type: "string",
+                description: "File name inside the export directory (default: generated from source and time)",
+              },
+              columns: {
+                type: "object",
+                additionalProperties: { type: "string" },
+                description: "Map of column header to dot path, e.g. {\"Company\": \"name\", \"Domain\": \"website.domain\"} (default: configured or built-in columns)",
+              },
+              max_results: {
+                type: "number",
+                description: `Maximum number of rows to export (default: ${DEFAULT_EXPORT_MAX_RESULTS})`,
+              },
+              overwrite: {
+                type: "boolean",
+                description: "Replace an existing file with the same name (default: false)",
+              },
+              bypass_cache: {
+                type: "boolean",
+                description: "Skip the response cache and fetch fresh data (default: false)",
+              },
+            },
+            required: ["source"],
+          },
+        },
       ],
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-      
-      console.error(`[DEBUG] Tool called: ${name}`);
-      console.error(`[DEBUG] Current client state: ${globalHarmonicClient ? 'SET' : 'NOT SET'}`);
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      
+      console.error(`[DEBUG] Tool called: ${name}`);
+      console.error(`[DEBUG] Session ${session.id} client state: ${session.client ? 'SET' : 'NOT SET'}`);
+      session.touch();
+
+      try {
+        // size and max_results mean the same on every tool that takes them
+        try {
+          checkPageArgs(args || {});
+        } catch (error) {
+          throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+
+        switch (name) {
+          case "harmonic_set_api_key": {
+            const { api_key } = args;
+            session.client = this.createClient(api_key, session);
+            session.activeProfile = null;
+            this.pruneSchedulers();
+            console.error(`[DEBUG] API key has been set for session ${session.id}`);
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: "Harmonic API key has been set successfully. You can now use the other Harmonic tools.",
+                },
+              ],
+            };
+          }
+
+          case "harmonic_list_profiles": {
+            const profiles = listProfiles(this.config).map((profile) => ({
+              ...profile,
+              active: profile.name === session.activeProfile,
+            }));
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({ configPath: this.config.configPath, profiles }, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_switch_profile": {
+            const { profile } = args;
+            let credentials;
+            try {
+              credentials = getProfileCredentials(this.config, profile);
+            } catch (error) {
+              throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            session.client = this.createClient(credentials.apiKey, session);
+            session.activeProfile = credentials.profile;
+            this.pruneSchedulers();
+            console.error(`[DEBUG] Switched to profile: ${profile}`);
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `Switched to Harmonic profile "${profile}".`,
+                },
+              ],
+            };
+          }
+
+          case "harmonic_cache_stats": {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({
+                    ...session.cache.stats(),
+                    // Shared by every session using this API key
+                    scheduler: session.client?.scheduler?.stats() ?? null,
+                  }, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_cache_clear": {
+            const { endpoint } = args;
+            const removed = session.cache.clear(endpoint || null);
+            console.error(`[DEBUG] Cleared ${removed} cache entries`);
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `Removed ${removed} cached ${endpoint ? `${endpoint} ` : ""}responses.`,
+                },
+              ],
+            };
+          }
+
+          case "harmonic_search_company_by_domain": {
+            const { domain, bypass_cache = false } = args;
+            console.error(`[DEBUG] Searching company by domain: ${domain}`);
+            const results = await this.getClient(session).searchCompaniesByDomain(domain, { bypassCache: bypass_cache });
+            return this.formatToolResult(results, args);
+          }
+
+          case "harmonic_get_company": {
+            const { identifier, bypass_cache = false } = args;
+            const detected = detectCompanyIdentifier(identifier);
+            if (!detected) {
+              throw new McpError(
+                ErrorCode.InvalidParams,
+                `Unrecognised company identifier: ${identifier}. Use a Harmonic ID or URN, a website domain or URL, a LinkedIn company URL or a Crunchbase URL.`
+              );
+            }
+            console.error(`[DEBUG] Getting company by ${detected.type}: ${detected.value}`);
+            const company = await this.getCompany(this.getClient(session), detected, { bypassCache: bypass_cache });
+            if (!company) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: `No company found for ${detected.type.replace("_", " ")} ${detected.value}.`,
+                  },
+                ],
+              };
+            }
+            return this.formatToolResult(company, args);
+          }
+
+          case "harmonic_find_similar_companies": {
+            const { company: reference, size = DEFAULT_SIMILAR_SIZE, bypass_cache = false, output_format = "json" } = args;
+            const identifier = detectCompanyIdentifier(reference);
+            if (!identifier) {
+              throw new McpError(ErrorCode.InvalidParams, `Unrecognised company identifier: ${reference}`);
+            }
+            if (!["json", "markdown"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
+            let filters;
+            try {
+              filters = parsePeerFilters(args);
+            } catch (error) {
+              throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            const limit = Math.min(Math.max(1, Math.floor(size) || DEFAULT_SIMILAR_SIZE), MAX_SIMILAR_SIZE);
+
+            const client = this.getClient(session);
+            const target = await this.getCompany(client, identifier, { bypassCache: bypass_cache });
+            if (!target) {
+              throw new McpError(ErrorCode.InvalidParams, `No company found for ${identifier.type.replace("_", " ")} ${identifier.value}`);
+            }
+            console.error(`[DEBUG] Finding companies similar to ${target.name} (${target.id ?? target.entity_urn})`);
+            const { peers, ...counts } = await this.findSimilarCompanies(client, target, {
+              size: limit,
+              filters,
+              bypassCache: bypass_cache,
+            });
+
+            const heading = `Companies similar to ${target.name || reference}: ${peers.length} shown of ${counts.candidates} candidates` +
+              (counts.filtered_out ? `, ${counts.filtered_out} removed by filters` : "") +
+              (counts.unavailable ? `, ${counts.unavailable} could not be loaded` : "") + ".";
+            if (output_format === "markdown") {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: peers.length ? `${heading}\n\n${renderPeers(peers)}` : heading,
+                  },
+                ],
+              };
+            }
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({
+                    company: summarize(target),
+                    ...counts,
+                    results: peers.map((peer) => ({ ...peer, company: summarize(peer.company) })),
+                  }, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_find_intro_paths": {
+            const {
+              company: reference,
+              team_members,
+              max_employees = DEFAULT_MAX_EMPLOYEES,
+              max_paths = DEFAULT_MAX_PATHS,
+              bypass_cache = false,
+              output_format = "json",
+            } = args;
+            if (!["json", "markdown"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
+            const identifier = detectCompanyIdentifier(reference);
+            if (!identifier) {
+              throw new McpError(ErrorCode.InvalidParams, `Unrecognised company identifier: ${reference}`);
+            }
+            const members = Array.isArray(team_members) && team_members.length
+              ? team_members.map((member) => ({ reference: String(member).trim() }))
+              : getTeamMembers(this.config);
+            if (members.length === 0) {
+              throw new McpError(
+                ErrorCode.InvalidParams,
+                "No team members configured. Add team.members to the config file, set HARMONIC_TEAM, or pass team_members."
+              );
+            }
+
+            const client = this.getClient(session);
+            const target = await this.getCompany(client, identifier, { bypassCache: bypass_cache });
+            if (!target) {
+              throw new McpError(ErrorCode.InvalidParams, `No company found for ${identifier.type.replace("_", " ")} ${identifier.value}`);
+            }
+            console.error(`[DEBUG] Finding intro paths into ${target.name} for ${members.length} team members`);
 
-      try {
-        switch (name) {
-          case "harmonic_set_api_key": {
-            const { api_key } = args;
-            globalHarmonicClient = new HarmonicClient({ apiKey: api_key });
-            console.error(`[DEBUG] API key has been set globally`);
+            const { resolved, unresolved } = await this.resolveTeamMembers(client, members, { bypassCache: bypass_cache });
+            if (resolved.length === 0) {
+              throw new McpError(
+                ErrorCode.InvalidParams,
+                `None of the team members could be loaded: ${unresolved.map((member) => `${member.reference} (${member.error})`).join("; ")}`
+              );
+            }
+            const employeeLimit = Math.min(Math.max(1, Math.floor(max_employees) || DEFAULT_MAX_EMPLOYEES), MAX_EMPLOYEES);
+            const { employees, total, stoppedAtCap } = await this.loadEmployees(client, extra, target.id ?? target.entity_urn, {
+              maxEmployees: employeeLimit,
+              bypassCache: bypass_cache,
+            });
+            const paths = rankIntroPaths(resolved, employees, target).slice(0, Math.max(1, Math.floor(max_paths) || DEFAULT_MAX_PATHS));
+
+            const coverage = {
+              company: summarize(target),
+              team_members_checked: resolved.length,
+              team_members_unresolved: unresolved,
+              employees_checked: employees.length,
+              employees_total: total,
+              ...(stoppedAtCap && { note: `Only the first ${employees.length} employees were checked. Raise max_employees to check more.` }),
+            };
+            if (output_format === "markdown") {
+              const heading = `${paths.length} intro path${paths.length === 1 ? "" : "s"} into ${target.name} from ${resolved.length} team members and ${employees.length} employees.`;
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: paths.length ? `${heading}\n\n${renderIntroPaths(paths)}` : heading,
+                  },
+                  {
+                    type: "text",
+                    text: JSON.stringify(coverage, null, 2),
+                  },
+                ],
+              };
+            }
             return {
               content: [
                 {
                   type: "text",
-                  text: "Harmonic API key has been set successfully. You can now use the other Harmonic tools.",
+                  text: JSON.stringify({ ...coverage, paths }, null, 2),
                 },
               ],
             };
           }
 
-          case "harmonic_search_company_by_domain": {
-            if (!globalHarmonicClient) {
-              throw new McpError(
-                ErrorCode.InvalidRequest,
-                "Harmonic API key not set. Please use harmonic_set_api_key first."
-              );
+          case "harmonic_compare_companies": {
+            const { companies, bypass_cache = false } = args;
+            if (!Array.isArray(companies) || companies.length < MIN_COMPARE || companies.length > MAX_COMPARE) {
+              throw new McpError(ErrorCode.InvalidParams, `companies must list ${MIN_COMPARE} to ${MAX_COMPARE} companies`);
             }
-            const { domain } = args;
-            console.error(`[DEBUG] Searching company by domain: ${domain}`);
-            const results = await globalHarmonicClient.searchCompaniesByDomain(domain);
+            const identifiers = companies.map((reference) => detectCompanyIdentifier(reference));
+            const invalid = companies.filter((reference, index) => !identifiers[index]);
+            if (invalid.length) {
+              throw new McpError(ErrorCode.InvalidParams, `Unrecognised company identifier${invalid.length === 1 ? "" : "s"}: ${invalid.join(", ")}`);
+            }
+
+            console.error(`[DEBUG] Comparing ${companies.length} companies`);
+            const client = this.getClient(session);
+            const outcomes = await mapSettled(identifiers, companies.length, (identifier) =>
+              this.getCompany(client, identifier, { bypassCache: bypass_cache })
+            );
+            const entries = outcomes.map(({ value: company, error }, index) => {
+              const input = companies[index];
+              if (error) return { input, status: "error", error: error.message || String(error) };
+              if (!company) return { input, status: "not_found" };
+              return {
+                input,
+                status: "matched",
+                id: company.id ?? null,
+                name: company.name || null,
+                domain: company.website?.domain || null,
+                ...compareMetrics(company),
+              };
+            });
+
             return {
               content: [
                 {
                   type: "text",
-                  text: JSON.stringify(results, null, 2),
+                  text: [
+                    renderComparison(entries),
+                    `"${MISSING}" means Harmonic has no data for that metric.`,
+                    ...(entries.some((entry) => entry.approximate?.length) ? [APPROXIMATE_NOTE] : []),
+                  ].join("\n\n"),
+                },
+                {
+                  type: "text",
+                  text: JSON.stringify({ companies: entries }, null, 2),
                 },
               ],
             };
           }
 
-          case "harmonic_search_companies": {
-            if (!globalHarmonicClient) {
-              throw new McpError(
-                ErrorCode.InvalidRequest,
-                "Harmonic API key not set. Please use harmonic_set_api_key first."
-              );
+          case "harmonic_company_traction": {
+            const {
+              company: reference,
+              months = DEFAULT_SERIES_MONTHS,
+              include_departments = true,
+              bypass_cache = false,
+              output_format = "json",
+            } = args;
+            const identifier = detectCompanyIdentifier(reference);
+            if (!identifier) {
+              throw new McpError(ErrorCode.InvalidParams, `Unrecognised company identifier: ${reference}`);
+            }
+            if (!["json", "markdown"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
+            const seriesMonths = Math.min(Math.max(1, Math.floor(months) || DEFAULT_SERIES_MONTHS), MAX_SERIES_MONTHS);
+
+            const client = this.getClient(session);
+            const company = await this.getCompany(client, identifier, { bypassCache: bypass_cache });
+            if (!company) {
+              throw new McpError(ErrorCode.InvalidParams, `No company found for ${identifier.type.replace("_", " ")} ${identifier.value}`);
+            }
+            console.error(`[DEBUG] Analysing traction for ${company.name} (${company.id ?? company.entity_urn})`);
+            const analysis = analyzeTraction(company, { months: seriesMonths, departments: include_departments });
+            const hasData = analysis.headcount || analysis.web_traffic || Object.keys(analysis.departments || {}).length > 0;
+
+            if (output_format === "markdown") {
+              const heading = `Traction for ${company.name || reference}`;
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: hasData ? `${heading}\n\n${renderTraction(analysis)}` : `${heading}: Harmonic has no traction metrics for this company.`,
+                  },
+                ],
+              };
+            }
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({ company: summarize(company), ...analysis }, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_get_funding_rounds": {
+            const { company: reference, bypass_cache = false, output_format = "json" } = args;
+            const identifier = detectCompanyIdentifier(reference);
+            if (!identifier) {
+              throw new McpError(ErrorCode.InvalidParams, `Unrecognised company identifier: ${reference}`);
+            }
+            if (!["json", "markdown"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
+
+            const client = this.getClient(session);
+            const company = await this.getCompany(client, identifier, { bypassCache: bypass_cache });
+            if (!company) {
+              throw new McpError(ErrorCode.InvalidParams, `No company found for ${identifier.type.replace("_", " ")} ${identifier.value}`);
+            }
+            console.error(`[DEBUG] Listing funding rounds for ${company.name} (${company.id ?? company.entity_urn})`);
+            const funding = companyFunding(company);
+
+            if (output_format === "markdown") {
+              const heading = `Funding for ${company.name || reference}: ${funding.rounds.length} round${funding.rounds.length === 1 ? "" : "s"}, ` +
+                `${funding.investors.length} investor${funding.investors.length === 1 ? "" : "s"}` +
+                (typeof funding.funding_total === "number" ? `, ${formatMoney(funding.funding_total)} raised` : "") + ".";
+              const tables = renderFunding(funding);
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: tables ? `${heading}\n\n${tables}` : heading,
+                  },
+                ],
+              };
+            }
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({ company: summarize(company), ...funding }, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_get_investor_portfolio": {
+            const { investor, max_companies = DEFAULT_PORTFOLIO_SCAN, bypass_cache = false, output_format = "json" } = args;
+            if (typeof investor !== "string" || !investor.trim()) {
+              throw new McpError(ErrorCode.InvalidParams, "investor must be a non-empty name");
+            }
+            if (!["json", "markdown"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
+            let filters;
+            let query;
+            try {
+              filters = parsePortfolioFilters(args);
+              query = buildCompanyQuery({ investors: [investor], sort_by: "last_funding_date" });
+            } catch (error) {
+              throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            const scanLimit = Math.min(Math.max(1, Math.floor(max_companies) || DEFAULT_PORTFOLIO_SCAN), MAX_PORTFOLIO_SCAN);
+
+            console.error(`[DEBUG] Loading portfolio for investor "${investor}"`);
+            const client = this.getClient(session);
+            const scanned = await this.fetchAllPages(
+              extra,
+              (pageCursor, pageSize) => client.searchCompaniesByQuery(query, pageSize, pageCursor, { bypassCache: bypass_cache }),
+              { size: 50, max_results: scanLimit }
+            );
+            const entries = scanned.results
+              .map((company) => {
+                const entry = portfolioEntry(company, investor, filters);
+                return entry && { company: summarize(company), ...entry };
+              })
+              .filter(Boolean)
+              .sort((a, b) => String(b.latest_round_date || "").localeCompare(String(a.latest_round_date || "")));
+
+            const summary = {
+              investor: investor.trim(),
+              scanned: scanned.results.length,
+              total_backed: scanned.count,
+              matched: entries.length,
+              truncated: scanned.pagination.stopped_at_cap,
+            };
+            if (output_format === "markdown") {
+              const heading = `${summary.investor}: ${entries.length} matching compan${entries.length === 1 ? "y" : "ies"} out of ${summary.scanned} scanned` +
+                (summary.truncated ? ` (more exist; raise max_companies to scan further)` : "") + ".";
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: entries.length ? `${heading}\n\n${renderPortfolio(entries)}` : heading,
+                  },
+                ],
+              };
+            }
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({ ...summary, results: entries }, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_enrich_companies": {
+            const { domains, concurrency = DEFAULT_BATCH_CONCURRENCY, bypass_cache = false, fields, detail = "summary", output_format = "markdown" } = args;
+            if (!Array.isArray(domains) || domains.length === 0) {
+              throw new McpError(ErrorCode.InvalidParams, "domains must be a non-empty array");
+            }
+            if (domains.length > MAX_BATCH_SIZE) {
+              throw new McpError(ErrorCode.InvalidParams, `At most ${MAX_BATCH_SIZE} domains per call, got ${domains.length}`);
             }
-            const { query, size = 50, cursor } = args;
+            if (!["markdown", "csv"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
+            const limit = Math.min(Math.max(1, Math.floor(concurrency) || 1), MAX_BATCH_CONCURRENCY);
+            console.error(`[DEBUG] Enriching ${domains.length} domains, concurrency=${limit}`);
+
+            const rows = await this.enrichCompanies(this.getClient(session), extra, domains, {
+              concurrency: limit,
+              bypassCache: bypass_cache,
+            });
+            const summary = countStatuses(rows);
+            const results = rows.map(({ company, ...row }) =>
+              company ? { ...row, company: shapeResponse(company, { fields, detail }).data } : row
+            );
+
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `${summary.total} inputs: ${summary.matched} matched, ${summary.not_found} not found, ${summary.error} errors.\n\n${renderEnrichmentTable(rows, output_format)}`,
+                },
+                {
+                  type: "text",
+                  text: JSON.stringify({ summary, results }, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_search_companies": {
+            const { query, size = 50, cursor, bypass_cache = false, fetch_all = false, max_results } = args;
             console.error(`[DEBUG] Searching companies: query="${query}", size=${size}`);
-            const results = await globalHarmonicClient.searchCompanies(query, size, cursor);
+            const client = this.getClient(session);
+            const results = fetch_all || max_results
+              ? await this.fetchAllPages(
+                  extra,
+                  (pageCursor, pageSize) => client.searchCompanies(query, pageSize, pageCursor, { bypassCache: bypass_cache }),
+                  { cursor, size, max_results }
+                )
+              : await client.searchCompanies(query, size, cursor, { bypassCache: bypass_cache });
+            return this.formatToolResult(results, args);
+          }
+
+          case "harmonic_enrich_person": {
+            const { linkedin_url, email, max_candidates = DEFAULT_MAX_CANDIDATES, fields, detail = "summary", bypass_cache = false } = args;
+            if (Boolean(linkedin_url) === Boolean(email)) {
+              throw new McpError(ErrorCode.InvalidParams, "Provide exactly one of linkedin_url or email");
+            }
+            const linkedin = linkedin_url ? parseLinkedInUrl(linkedin_url) : null;
+            if (linkedin_url && linkedin?.type !== "in") {
+              throw new McpError(ErrorCode.InvalidParams, `Not a LinkedIn profile URL: ${linkedin_url}`);
+            }
+            if (email && !isEmail(email)) {
+              throw new McpError(ErrorCode.InvalidParams, `Not a valid email address: ${email}`);
+            }
+
+            console.error(`[DEBUG] Enriching person: ${linkedin ? linkedin.url : email}`);
+            const result = await this.lookupPerson(
+              this.getClient(session),
+              { linkedin, email: email?.trim() },
+              { maxCandidates: Math.max(1, Math.floor(max_candidates) || DEFAULT_MAX_CANDIDATES), bypassCache: bypass_cache }
+            );
+
+            // fields wins over detail, as in shapeResponse
+            const paths = parseFields(fields);
+            const output = result.status === "matched"
+              ? {
+                  ...result,
+                  person: paths.length
+                    ? projectFields(result.person, paths)
+                    : detail === "full" ? result.person : personProfile(result.person),
+                }
+              : {
+                  status: result.status,
+                  candidates: result.candidates.map(({ person, confidence, reasons }) => ({
+                    confidence,
+                    reasons,
+                    person: paths.length ? projectFields(person, paths) : summarize(person),
+                  })),
+                };
+
             return {
               content: [
                 {
                   type: "text",
-                  text: JSON.stringify(results, null, 2),
+                  text: JSON.stringify(output, null, 2),
                 },
               ],
             };
           }
 
-          case "harmonic_search_people": {
-            if (!globalHarmonicClient) {
-              throw new McpError(
-                ErrorCode.InvalidRequest,
-                "Harmonic API key not set. Please use harmonic_set_api_key first."
-              );
+          case "harmonic_search_companies_advanced": {
+            const { size = 50, cursor, bypass_cache = false, fetch_all = false, max_results, include_query = false } = args;
+            let query;
+            try {
+              query = buildCompanyQuery(args);
+            } catch (error) {
+              throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            console.error(`[DEBUG] Advanced company search: ${JSON.stringify(query)}`);
+            const client = this.getClient(session);
+            const results = fetch_all || max_results
+              ? await this.fetchAllPages(
+                  extra,
+                  (pageCursor, pageSize) => client.searchCompaniesByQuery(query, pageSize, pageCursor, { bypassCache: bypass_cache }),
+                  { cursor, size, max_results }
+                )
+              : await client.searchCompaniesByQuery(query, size, cursor, { bypassCache: bypass_cache });
+
+            const result = this.formatToolResult(results, args);
+            if (include_query) {
+              result.content.push({
+                type: "text",
+                text: `Harmonic query:\n${JSON.stringify(query, null, 2)}`,
+              });
             }
-            const { query, size = 50, cursor } = args;
+            return result;
+          }
+
+          case "harmonic_search_people": {
+            const { query, size = 50, cursor, bypass_cache = false, fetch_all = false, max_results } = args;
             console.error(`[DEBUG] Searching people: query="${query}", size=${size}`);
-            const results = await globalHarmonicClient.searchPeople(query, size, cursor);
+            const client = this.getClient(session);
+            const results = fetch_all || max_results
+              ? await this.fetchAllPages(
+                  extra,
+                  (pageCursor, pageSize) => client.searchPeople(query, pageSize, pageCursor, { bypassCache: bypass_cache }),
+                  { cursor, size, max_results }
+                )
+              : await client.searchPeople(query, size, cursor, { bypassCache: bypass_cache });
+            return this.formatToolResult(results, args);
+          }
+
+          case "harmonic_list_saved_searches": {
+            const { type, name_contains, bypass_cache = false, output_format = "json" } = args;
+            console.error(`[DEBUG] Listing saved searches`);
+            const needle = name_contains ? name_contains.toLowerCase() : null;
+            const searches = savedSearchList(await this.getClient(session).listSavedSearches({ bypassCache: bypass_cache }))
+              .filter((search) => !type || search.type === type)
+              .filter((search) => !needle || String(search.name || "").toLowerCase().includes(needle))
+              .map(savedSearchSummary);
+
+            if (output_format === "json") {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: JSON.stringify({ count: searches.length, results: searches }, null, 2),
+                  },
+                ],
+              };
+            }
+            if (!["markdown", "csv"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
             return {
               content: [
                 {
                   type: "text",
-                  text: JSON.stringify(results, null, 2),
+                  text: searches.length ? renderSavedSearches(searches, output_format) : "No saved searches.",
                 },
               ],
             };
           }
 
-          case "harmonic_get_saved_search_results": {
-            if (!globalHarmonicClient) {
-              throw new McpError(
-                ErrorCode.InvalidRequest,
-                "Harmonic API key not set. Please use harmonic_set_api_key first."
-              );
+          case "harmonic_get_saved_search": {
+            const { search, bypass_cache = false } = args;
+            console.error(`[DEBUG] Getting saved search: ${search}`);
+            const definition = await this.resolveSavedSearch(this.getClient(session), search, { bypassCache: bypass_cache });
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(definition, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_create_saved_search": {
+            const { name: searchName, type, query, is_private = false } = args;
+            try {
+              validateSavedSearch({ name: searchName, type, query });
+            } catch (error) {
+              throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            console.error(`[DEBUG] Creating saved search: ${searchName}`);
+            const created = await this.getClient(session).createSavedSearch({ name: searchName.trim(), type, query, is_private });
+            session.cache.clear("saved_searches");
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(created, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_update_saved_search": {
+            const { search, name: searchName, query, is_private } = args;
+            try {
+              validateSavedSearch({ name: searchName, query }, { partial: true });
+            } catch (error) {
+              throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            const client = this.getClient(session);
+            // Always resolved fresh so the update starts from the current definition
+            const current = await this.resolveSavedSearch(client, search, { bypassCache: true });
+            const definition = {
+              name: searchName?.trim() ?? current.name,
+              type: current.type,
+              query: query ?? current.query,
+              is_private: is_private ?? current.is_private,
+            };
+            console.error(`[DEBUG] Updating saved search: ${current.id ?? current.entity_urn}`);
+            const updated = await client.updateSavedSearch(current.id ?? current.entity_urn, definition);
+            session.cache.clear("saved_searches");
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(updated, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_saved_search_diff": {
+            const { search_id, max_results = DEFAULT_DIFF_MAX_RESULTS, update_snapshot = true } = args;
+            if (!search_id) {
+              throw new McpError(ErrorCode.InvalidParams, "search_id is required");
             }
-            const { search_id, size = 50, cursor } = args;
+            const client = this.getClient(session);
+            const store = this.snapshotStore(session);
+            console.error(`[DEBUG] Diffing saved search ${search_id} against ${store.file}`);
+
+            // Always fetched fresh: a cached page would hide the changes we're looking for
+            const results = await this.fetchAllPages(
+              extra,
+              (pageCursor, pageSize) => client.getSavedSearchResults(search_id, pageSize, pageCursor, { bypassCache: true }),
+              { size: 100, max_results }
+            );
+            const complete = !results.pagination.stopped_at_cap &&
+              !(typeof results.count === "number" && results.results.length < results.count);
+            const current = takeSnapshot(search_id, results.results, { complete });
+            const previous = store.get(search_id);
+            if (update_snapshot) store.save(current);
+
+            const output = previous
+              ? {
+                  search_id: String(search_id),
+                  previous_snapshot_at: previous.taken_at,
+                  snapshot_at: current.taken_at,
+                  total: results.count,
+                  fetched: results.results.length,
+                  ...diffSnapshots(previous, current),
+                  snapshot_saved: update_snapshot,
+                }
+              : {
+                  search_id: String(search_id),
+                  first_snapshot: true,
+                  snapshot_at: current.taken_at,
+                  total: results.count,
+                  fetched: results.results.length,
+                  snapshot_saved: update_snapshot,
+                  message: "No earlier snapshot to compare against. This run is the baseline; the next diff will show what changed.",
+                };
+            if (previous && !previous.complete) {
+              output.note = "The previous snapshot didn't cover the whole search, so additions and removals aren't reported. This run " +
+                (current.complete ? "did, so the next diff will be complete." : `also stopped at ${results.results.length} results. Raise max_results to cover the whole search.`);
+            } else if (!current.complete) {
+              output.note = `Stopped at ${results.results.length} results, so removals aren't reported. Raise max_results to cover the whole search.`;
+            }
+
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(output, null, 2),
+                },
+              ],
+            };
+          }
+
+          case "harmonic_saved_search_reset": {
+            const { search_id } = args;
+            const removed = this.snapshotStore(session).reset(search_id ?? null);
+            console.error(`[DEBUG] Reset ${removed} saved search snapshots`);
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: search_id
+                    ? `${removed ? "Removed the" : "There was no"} snapshot for saved search ${search_id}.`
+                    : `Removed ${removed} saved search snapshot${removed === 1 ? "" : "s"}.`,
+                },
+              ],
+            };
+          }
+
+          case "harmonic_get_saved_search_results": {
+            const { search_id, size = 50, cursor, bypass_cache = false, fetch_all = false, max_results } = args;
             console.error(`[DEBUG] Getting saved search results: id=${search_id}`);
-            const results = await globalHarmonicClient.getSavedSearchResults(search_id, size, cursor);
+            const client = this.getClient(session);
+            const results = fetch_all || max_results
+              ? await this.fetchAllPages(
+                  extra,
+                  (pageCursor, pageSize) => client.getSavedSearchResults(search_id, pageSize, pageCursor, { bypassCache: bypass_cache }),
+                  { cursor, size, max_results }
+                )
+              : await client.getSavedSearchResults(search_id, size, cursor, { bypassCache: bypass_cache });
+            return this.formatToolResult(results, args);
+          }
+
+          case "harmonic_list_watchlists": {
+            const { type, bypass_cache = false, output_format = "json" } = args;
+            if (type && !WATCHLIST_TYPES[type]) {
+              throw new McpError(ErrorCode.InvalidParams, `type must be one of ${Object.keys(WATCHLIST_TYPES).join(", ")}`);
+            }
+            console.error(`[DEBUG] Listing watchlists: ${type || "all"}`);
+            const client = this.getClient(session);
+            const types = type ? [type] : Object.keys(WATCHLIST_TYPES);
+            const pages = await Promise.all(types.map((listType) => client.listWatchlists(listType, { bypassCache: bypass_cache })));
+            const watchlists = pages.flatMap((page, index) => watchlistList(page, types[index]));
+
+            if (output_format === "json") {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: JSON.stringify({ count: watchlists.length, results: watchlists }, null, 2),
+                  },
+                ],
+              };
+            }
+            if (!["markdown", "csv"].includes(output_format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported output_format: ${output_format}`);
+            }
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: watchlists.length ? renderWatchlists(watchlists, output_format) : "No lists.",
+                },
+              ],
+            };
+          }
+
+          case "harmonic_get_watchlist_entries": {
+            const { watchlist_id, type = "companies", size = 50, cursor, bypass_cache = false, fetch_all = false, max_results } = args;
+            if (!WATCHLIST_TYPES[type]) {
+              throw new McpError(ErrorCode.InvalidParams, `type must be one of ${Object.keys(WATCHLIST_TYPES).join(", ")}`);
+            }
+            console.error(`[DEBUG] Getting ${type} watchlist entries: id=${watchlist_id}`);
+            const client = this.getClient(session);
+            const results = fetch_all || max_results
+              ? await this.fetchAllPages(
+                  extra,
+                  (pageCursor, pageSize) => client.getWatchlistEntries(type, watchlist_id, pageSize, pageCursor, { bypassCache: bypass_cache }),
+                  { cursor, size, max_results }
+                )
+              : await client.getWatchlistEntries(type, watchlist_id, size, cursor, { bypassCache: bypass_cache });
+            return this.formatToolResult(results, args);
+          }
+
+          case "harmonic_add_watchlist_entries":
+          case "harmonic_remove_watchlist_entries": {
+            const { watchlist_id, type = "companies", entities, confirm = false } = args;
+            const listType = WATCHLIST_TYPES[type];
+            if (!listType) {
+              throw new McpError(ErrorCode.InvalidParams, `type must be one of ${Object.keys(WATCHLIST_TYPES).join(", ")}`);
+            }
+            if (!watchlist_id) {
+              throw new McpError(ErrorCode.InvalidParams, "watchlist_id is required");
+            }
+            if (!Array.isArray(entities) || entities.length === 0) {
+              throw new McpError(ErrorCode.InvalidParams, "entities must be a non-empty array");
+            }
+            if (entities.length > MAX_BATCH_SIZE) {
+              throw new McpError(ErrorCode.InvalidParams, `At most ${MAX_BATCH_SIZE} entities per call, got ${entities.length}`);
+            }
+
+            const verb = name === "harmonic_add_watchlist_entries" ? "add" : "remove";
+            const client = this.getClient(session);
+            const { resolved, unresolved } = await this.resolveWatchlistEntities(client, type, entities);
+            const summary = { watchlist_id, type, action: verb, entities: resolved, unresolved };
+
+            // Only a literal true applies the change: the schema isn't enforced,
+            // so "false" or 1 must not slip through as truthy
+            if (confirm !== true) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: JSON.stringify({ ...summary, applied: false }, null, 2),
+                  },
+                  {
+                    type: "text",
+                    text: `Preview only: nothing was changed. Call again with confirm: true to ${verb} ${resolved.length} ${type === "people" ? "people" : `compan${resolved.length === 1 ? "y" : "ies"}`}.`,
+                  },
+                ],
+              };
+            }
+            if (resolved.length === 0) {
+              throw new McpError(ErrorCode.InvalidParams, `None of the entities could be resolved: ${unresolved.map((entry) => `${entry.input} (${entry.error})`).join("; ")}`);
+            }
+
+            console.error(`[DEBUG] ${verb === "add" ? "Adding" : "Removing"} ${resolved.length} ${type} ${verb === "add" ? "to" : "from"} watchlist ${watchlist_id}`);
+            const response = await client.updateWatchlist(type, watchlist_id, listType[verb], resolved.map((entry) => entry.urn));
+            session.cache.clear("watchlists");
             return {
               content: [
                 {
                   type: "text",
-                  text: JSON.stringify(results, null, 2),
+                  text: JSON.stringify({ ...summary, applied: true, response }, null, 2),
                 },
               ],
             };
           }
 
           case "harmonic_get_company_employees": {
-            if (!globalHarmonicClient) {
-              throw new McpError(
-                ErrorCode.InvalidRequest,
-                "Harmonic API key not set. Please use harmonic_set_api_key first."
+            const { company_id, size = 50, cursor, bypass_cache = false, fetch_all = false, max_results } = args;
+            console.error(`[DEBUG] Getting company employees: id=${company_id}`);
+            const client = this.getClient(session);
+            const results = fetch_all || max_results
+              ? await this.fetchAllPages(
+                  extra,
+                  (pageCursor, pageSize) => client.getEmployeesFromCompany(company_id, pageSize, pageCursor, { bypassCache: bypass_cache }),
+                  { cursor, size, max_results }
+                )
+              : await client.getEmployeesFromCompany(company_id, size, cursor, { bypassCache: bypass_cache });
+            return this.formatToolResult(results, args);
+          }
+
+          case "harmonic_export": {
+            const { source, format = "csv", filename, columns, max_results, overwrite = false, bypass_cache = false } = args;
+            if (!EXPORT_FORMATS.includes(format)) {
+              throw new McpError(ErrorCode.InvalidParams, `Unsupported export format: ${format}`);
+            }
+            const client = this.getClient(session);
+            const fetchPage = this.exportPageFetcher(client, args);
+            const exportOptions = getExportOptions(this.config);
+
+            let filePath;
+            try {
+              filePath = resolveExportPath(
+                exportOptions.directory,
+                filename || defaultFilename(source, format),
+                format,
+                { overwrite }
               );
+            } catch (error) {
+              throw new McpError(ErrorCode.InvalidParams, error.message);
             }
-            const { company_id, size = 50, cursor } = args;
-            console.error(`[DEBUG] Getting company employees: id=${company_id}`);
-            const results = await globalHarmonicClient.getEmployeesFromCompany(company_id, size, cursor);
+
+            console.error(`[DEBUG] Exporting ${source} to ${filePath}`);
+            const results = await this.fetchAllPages(extra, fetchPage, {
+              size: 100,
+              max_results: max_results || exportOptions.maxResults || DEFAULT_EXPORT_MAX_RESULTS,
+            });
+            let items = results.results;
+            let unresolved = 0;
+            if (source === "company_employees") {
+              ({ people: items, unresolved } = await this.resolvePeople(client, items, { bypassCache: bypass_cache }));
+            }
+            const summary = writeExport(items, {
+              filePath,
+              format,
+              columns,
+              configuredColumns: exportOptions.columns,
+              overwrite,
+            });
+
             return {
               content: [
                 {
                   type: "text",
-                  text: JSON.stringify(results, null, 2),
+                  text: JSON.stringify({
+                    ...summary,
+                    ...(unresolved && { unresolved }),
+                    total_available: results.count,
+                    stopped_at_cap: results.pagination.stopped_at_cap,
+                    next_cursor: results.page_info.next,
+                  }, null, 2),
                 },
               ],
             };
@@ -387,12 +2809,157 @@ class HarmonicMCPServer {
     });
   }
 
+  setupResourceHandlers(server, session) {
+    // Saved searches are listed by name; everything else needs an ID and is
+    // exposed through the templates. Listing never fails: without a key or
+    // when Harmonic is unreachable there is just nothing to list.
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      session.touch();
+      if (!session.client) return { resources: [] };
+      try {
+        const searches = savedSearchList(await session.client.listSavedSearches());
+        return {
+          resources: searches.filter((search) => search.id !== undefined && search.id !== null).map(savedSearchResource),
+        };
+      } catch (error) {
+        console.error(`[DEBUG] Unable to list saved searches as resources:`, error.message || error);
+        return { resources: [] };
+      }
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES,
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      console.error(`[DEBUG] Resource read: ${uri}`);
+      session.touch();
+
+      const resource = parseResourceUri(uri);
+      if (!resource) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown Harmonic resource: ${uri}`);
+      }
+
+      try {
+        const client = this.getClient(session);
+        let data = null;
+        try {
+          switch (resource.type) {
+            case "company":
+              data = await client.getCompanyById(resource.id);
+              break;
+            case "company_domain":
+              data = firstEntity(await client.searchCompaniesByDomain(resource.id));
+              break;
+            case "person":
+              data = await client.getPersonById(resource.id);
+              break;
+            case "saved_search":
+              data = await client.getSavedSearchResults(resource.id);
+              break;
+          }
+        } catch (error) {
+          // A 404 is an answer, rendered as "No ... found", not a failed read
+          if (!(error instanceof HarmonicApiError && error.status === 404)) throw error;
+        }
+
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: "text/markdown",
+              text: renderResource(resource.type, data, resource.id),
+            },
+            {
+              uri,
+              mimeType: "application/json",
+              text: JSON.stringify(data, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        console.error(`[DEBUG] Resource read error:`, error);
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Resource read failed: ${error.message || error}`
+        );
+      }
+    });
+  }
+
+  // Prompt files are re-read on every request so edits show up without a restart
+  setupPromptHandlers(server, session) {
+    const promptsDirectory = getPromptsDirectory(this.config);
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: [...loadPrompts(promptsDirectory).values()].map(describePrompt),
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      console.error(`[DEBUG] Prompt requested: ${name}`);
+      session.touch();
+
+      const prompt = loadPrompts(promptsDirectory).get(name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+      }
+
+      let text;
+      try {
+        text = renderPrompt(prompt, args);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+
+      return {
+        description: prompt.description,
+        messages: [
+          {
+            role: "user",
+            content: {
+              type: "text",
+              text,
+            },
+          },
+        ],
+      };
+    });
+  }
+
   async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    const { transport, port, host, authTokens } = getTransportOptions(this.config);
+
+    if (transport === "http") {
+      if (authTokens.length === 0) {
+        throw new Error("HTTP transport requires a bearer token. Set --auth-token, HARMONIC_MCP_AUTH_TOKEN or http.authTokens in the config file.");
+      }
+      this.httpServer = await startHttpServer({
+        port,
+        host,
+        authTokens,
+        createServer: (sessionId) => this.createServer({ sessionId }),
+      });
+      this.startIdleSweeper();
+      console.error(`Harmonic MCP server running on http://${host}:${port} (Streamable HTTP at /mcp, SSE at /sse)`);
+      return;
+    }
+
+    if (transport !== "stdio") {
+      throw new Error(`Unknown transport "${transport}". Use "stdio" or "http".`);
+    }
+
+    await this.createServer({ persistent: true }).connect(new StdioServerTransport());
     console.error("Harmonic MCP server running on stdio");
   }
 }
 
-const server = new HarmonicMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+const server = new HarmonicMCPServer(loadConfig());
+server.run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// TTLs in seconds, keyed by endpoint group (see endpointGroup)
+const DEFAULT_TTL_SECONDS = {
+  companies: 24 * 60 * 60,
+  people: 24 * 60 * 60,
+  employees: 60 * 60,
+  saved_searches: 5 * 60,
+  watchlists: 5 * 60,
+};
+
+const DEFAULT_CACHE_OPTIONS = {
+  enabled: true,
+  maxEntries: 500,
+  defaultTtlSeconds: 15 * 60,
+  ttlSeconds: {},
+  file: null,
+};
+
+// Every group endpointGroup returns for the endpoints the client calls
+const ENDPOINT_GROUPS = ["companies", "people", "employees", "search", "saved_searches", "watchlists"];
+
+// "/companies/123/employees" -> "employees", "/saved_searches:results/9" -> "saved_searches".
+// Person enrichment (/persons) shares the people group.
+function endpointGroup(endpoint) {
+  if (/\/employees$/.test(endpoint)) return "employees";
+  const [first] = endpoint.replace(/^\//, "").split(/[/:?]/);
+  return first === "persons" ? "people" : first;
+}
+
+function fingerprint(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex").slice(0, 12);
+}
+
+// Keys are scoped to a fingerprint of the API key so results from one
+// workspace are never served to another. Params are sorted for stability.
+function cacheKey(apiKey, method, endpoint, params = {}) {
+  const sorted = Object.keys(params)
+    .sort()
+    .map((name) => `${name}=${params[name]}`)
+    .join("&");
+  return `${fingerprint(apiKey)}:${method} ${endpoint}?${sorted}`;
+}
+
+// In-memory LRU cache with per-endpoint TTLs and optional JSON file persistence.
+// Map iteration order doubles as recency order: a hit re-inserts the entry.
+class ResponseCache {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CACHE_OPTIONS, ...options };
+    this.ttlSeconds = { ...DEFAULT_TTL_SECONDS, ...this.options.ttlSeconds };
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.saveTimer = null;
+
+    if (this.options.file) this.load();
+  }
+
+  get enabled() {
+    return this.options.enabled && this.options.maxEntries > 0;
+  }
+
+  ttlFor(endpoint) {
+    const group = endpointGroup(endpoint);
+    const seconds = this.ttlSeconds[group] ?? this.options.defaultTtlSeconds;
+    return seconds * 1000;
+  }
+
+  get(key) {
+    if (!this.enabled) return undefined;
+
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, endpoint, value) {
+    if (!this.enabled) return;
+
+    const ttl = this.ttlFor(endpoint);
+    if (ttl <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, endpoint, expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+
+    this.scheduleSave();
+  }
+
+  // Remove everything, or only entries for one endpoint group
+  clear(group = null) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!group || endpointGroup(entry.endpoint) === group) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    this.scheduleSave();
+    return removed;
+  }
+
+  stats() {
+    const now = Date.now();
+    const byEndpoint = {};
+    for (const entry of this.entries.values()) {
+      if (entry.expiresAt <= now) continue;
+      const group = endpointGroup(entry.endpoint);
+      byEndpoint[group] = (byEndpoint[group] || 0) + 1;
+    }
+
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.options.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Number((this.hits / lookups).toFixed(3)) : 0,
+      evictions: this.evictions,
+      byEndpoint,
+      ttlSeconds: this.ttlSeconds,
+      file: this.options.file,
+    };
+  }
+
+  load() {
+    try {
+      const raw = fs.readFileSync(this.options.file, "utf8");
+      const now = Date.now();
+      for (const [key, entry] of JSON.parse(raw)) {
+        if (entry.expiresAt > now) this.entries.set(key, entry);
+      }
+      console.error(`[DEBUG] Loaded ${this.entries.size} cache entries from ${this.options.file}`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`[DEBUG] Ignoring unreadable cache file ${this.options.file}: ${error.message}`);
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (!this.options.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  // Write the cache to disk synchronously so it can run during shutdown
+  flush() {
+    if (!this.options.file) return;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+      const tmp = `${this.options.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify([...this.entries]), { mode: 0o600 });
+      fs.renameSync(tmp, this.options.file);
+    } catch (error) {
+      console.error(`[DEBUG] Failed to write cache file ${this.options.file}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_OPTIONS,
+  DEFAULT_TTL_SECONDS,
+  ENDPOINT_GROUPS,
+  endpointGroup,
+  fingerprint,
+  cacheKey,
+  ResponseCache,
+};
@@ -0,0 +1,142 @@
+// Translate the flat filter arguments of harmonic_search_companies_advanced
+// into Harmonic's search query format:
+//   { filter_group: { join_operator: "and", filters: [{ field, comparator, filter_value }] }, sort: [...] }
+
+const FUNDING_STAGES = [
+  "PRE_SEED",
+  "SEED",
+  "SERIES_A",
+  "SERIES_B",
+  "SERIES_C",
+  "SERIES_D",
+  "SERIES_E",
+  "SERIES_F",
+  "VENTURE_UNKNOWN",
+  "EXITED",
+];
+
+const SORT_FIELDS = {
+  headcount: "company_headcount",
+  headcount_growth_90d: "company_headcount_real_change_90d",
+  funding_total: "company_funding_total",
+  last_funding_date: "company_last_funding_date",
+  founding_date: "company_founding_date",
+};
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// "2020" -> 2020-01-01 (or 2020-12-31 for an upper bound), "2020-06" -> 2020-06-01 / 2020-06-30
+function parseDateBound(value, argName, { upper }) {
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(String(value).trim());
+  if (!match) throw new Error(`${argName} must be a date as YYYY, YYYY-MM or YYYY-MM-DD, got "${value}"`);
+
+  const [, year, month, day] = match;
+  const y = Number(year);
+  const m = month ? Number(month) : upper ? 12 : 1;
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const d = day ? Number(day) : upper ? lastDay : 1;
+  if (m < 1 || m > 12 || d < 1 || d > lastDay) throw new Error(`${argName} is not a valid date: "${value}"`);
+
+  return `${year}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// A numeric min/max pair as one filter: inRange, or a one-sided comparison
+function rangeFilter(field, min, max, label) {
+  for (const [value, argName] of [[min, `${label}_min`], [max, `${label}_max`]]) {
+    if (value === undefined) continue;
+    if (!isNumber(value) || value < 0) throw new Error(`${argName} must be a non-negative number`);
+  }
+  if (min === undefined && max === undefined) return null;
+  if (min !== undefined && max !== undefined) {
+    if (min > max) throw new Error(`${label}_min (${min}) is greater than ${label}_max (${max})`);
+    return { field, comparator: "inRange", filter_value: [min, max] };
+  }
+  return min !== undefined
+    ? { field, comparator: "greaterThanOrEquals", filter_value: min }
+    : { field, comparator: "lessThanOrEquals", filter_value: max };
+}
+
+function stringList(value, argName) {
+  if (value === undefined) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some((item) => typeof item !== "string" || !item.trim())) {
+    throw new Error(`${argName} must be a list of non-empty strings`);
+  }
+  return list.map((item) => item.trim());
+}
+
+function stageList(value, argName) {
+  const stages = stringList(value, argName).map((stage) => stage.toUpperCase().replace(/[\s-]+/g, "_"));
+  const unknown = stages.filter((stage) => !FUNDING_STAGES.includes(stage));
+  if (unknown.length) {
+    throw new Error(`Unknown ${argName}: ${unknown.join(", ")}. Use ${FUNDING_STAGES.join(", ")}`);
+  }
+  return stages;
+}
+
+// Throws an Error with a user-facing message for anything Harmonic would
+// reject or that can't match any company
+function buildCompanyQuery(args = {}) {
+  const filters = [];
+  const add = (filter) => filter && filters.push(filter);
+
+  add(rangeFilter("company_headcount", args.headcount_min, args.headcount_max, "headcount"));
+  add(rangeFilter("company_funding_total", args.funding_total_min, args.funding_total_max, "funding_total"));
+
+  const stages = stageList(args.stages, "stages");
+  const excluded = stageList(args.exclude_stages, "exclude_stages");
+  const overlap = stages.filter((stage) => excluded.includes(stage));
+  if (overlap.length) throw new Error(`${overlap.join(", ")} is in both stages and exclude_stages`);
+  if (stages.length) add({ field: "company_stage", comparator: "anyOf", filter_value: stages });
+  if (excluded.length) add({ field: "company_stage", comparator: "notAnyOf", filter_value: excluded });
+
+  for (const [argName, field] of [["countries", "company_country"], ["regions", "company_state"], ["cities", "company_city"]]) {
+    const values = stringList(args[argName], argName);
+    if (values.length) add({ field, comparator: "anyOf", filter_value: values });
+  }
+
+  const after = args.founded_after !== undefined ? parseDateBound(args.founded_after, "founded_after", { upper: false }) : null;
+  const before = args.founded_before !== undefined ? parseDateBound(args.founded_before, "founded_before", { upper: true }) : null;
+  if (after && before && after > before) {
+    throw new Error(`founded_after (${args.founded_after}) is later than founded_before (${args.founded_before})`);
+  }
+  if (after && before) add({ field: "company_founding_date", comparator: "inRange", filter_value: [after, before] });
+  else if (after) add({ field: "company_founding_date", comparator: "greaterThanOrEquals", filter_value: after });
+  else if (before) add({ field: "company_founding_date", comparator: "lessThanOrEquals", filter_value: before });
+
+  const tags = stringList(args.industry_tags, "industry_tags");
+  const tagMatch = args.tag_match || "any";
+  if (!["any", "all"].includes(tagMatch)) throw new Error(`tag_match must be "any" or "all"`);
+  if (args.tag_match && tags.length === 0) throw new Error("tag_match needs industry_tags");
+  if (tags.length) add({ field: "company_tags", comparator: tagMatch === "all" ? "allOf" : "anyOf", filter_value: tags });
+
+  const investors = stringList(args.investors, "investors");
+  if (investors.length) add({ field: "company_investors", comparator: "anyOf", filter_value: investors });
+
+  if (filters.length === 0) {
+    throw new Error("Give at least one filter: headcount, funding, stages, location, founding date, industry_tags or investors");
+  }
+
+  const query = { filter_group: { join_operator: "and", filters } };
+
+  if (args.sort_order && !args.sort_by) throw new Error("sort_order needs sort_by");
+  if (args.sort_by) {
+    const field = SORT_FIELDS[args.sort_by];
+    if (!field) throw new Error(`sort_by must be one of ${Object.keys(SORT_FIELDS).join(", ")}`);
+    const order = args.sort_order || "desc";
+    if (!["asc", "desc"].includes(order)) throw new Error(`sort_order must be "asc" or "desc"`);
+    query.sort = [{ field, descending: order === "desc" }];
+  }
+
+  return query;
+}
+
+module.exports = {
+  FUNDING_STAGES,
+  SORT_FIELDS,
+  parseDateBound,
+  stageList,
+  buildCompanyQuery,
+};
@@ -0,0 +1,101 @@
+const { formatLocation } = require("./projection.js");
+const { escapeMarkdown, formatMoney, formatPercent } = require("./formatters.js");
+const { metricGrowth } = require("./traction.js");
+
+const MIN_COMPARE = 3;
+const MAX_COMPARE = 8;
+const MISSING = "n/a";
+const MAX_INVESTORS_SHOWN = 5;
+
+function investorNames(company) {
+  const investors = company.funding?.investors || company.investors || [];
+  const names = investors.map((investor) => (typeof investor === "string" ? investor : investor?.name)).filter(Boolean);
+  return names.length ? [...new Set(names)] : null;
+}
+
+function lastRound(company) {
+  const funding = company.funding || {};
+  if (!funding.last_funding_type && !funding.last_funding_at) return null;
+  return {
+    type: funding.last_funding_type || null,
+    date: funding.last_funding_at ? String(funding.last_funding_at).slice(0, 10) : null,
+    amount: funding.last_funding_total ?? null,
+  };
+}
+
+// Growth metrics read as { value, approximate } (see metricGrowth)
+const GROWTH_METRICS = ["headcount_growth_90d", "headcount_growth_365d"];
+
+// The fixed metric set, in table order. Each reads one company record and
+// returns null when Harmonic has no data for it.
+const METRICS = [
+  ["headcount", "Headcount", (c) => c.headcount ?? null],
+  ["headcount_growth_90d", "Headcount growth (90d)", (c) => metricGrowth(c.traction_metrics?.headcount, 90)],
+  ["headcount_growth_365d", "Headcount growth (1y)", (c) => metricGrowth(c.traction_metrics?.headcount, 365)],
+  ["funding_total", "Funding total", (c) => c.funding?.funding_total ?? null],
+  ["last_round", "Last round", lastRound],
+  ["investors", "Investors", investorNames],
+  ["founded_year", "Founded", (c) => parseInt(String(c.founding_date?.date || ""), 10) || null],
+  ["location", "Location", (c) => formatLocation(c.location)],
+];
+
+// `approximate` lists the growth metrics estimated from the headcount series
+// rather than taken from Harmonic's own figures
+function compareMetrics(company) {
+  const metrics = {};
+  const approximate = [];
+  for (const [key, , read] of METRICS) {
+    const value = read(company);
+    if (GROWTH_METRICS.includes(key) && value) {
+      metrics[key] = value.value;
+      if (value.approximate) approximate.push(key);
+    } else {
+      metrics[key] = value;
+    }
+  }
+  const missing = METRICS.filter(([key]) => metrics[key] === null).map(([key]) => key);
+  return { metrics, missing, approximate };
+}
+
+function formatCell(key, value, approximate) {
+  if (value === null || value === undefined) return MISSING;
+  switch (key) {
+    case "headcount_growth_90d":
+    case "headcount_growth_365d":
+      return `${approximate.includes(key) ? "~" : ""}${formatPercent(value)}`;
+    case "funding_total":
+      return formatMoney(value);
+    case "last_round": {
+      const amount = typeof value.amount === "number" ? ` (${formatMoney(value.amount)})` : "";
+      return `${value.type || "Unknown type"}${value.date ? `, ${value.date}` : ""}${amount}`;
+    }
+    case "investors": {
+      const shown = value.slice(0, MAX_INVESTORS_SHOWN).join(", ");
+      return value.length > MAX_INVESTORS_SHOWN ? `${shown} +${value.length - MAX_INVESTORS_SHOWN} more` : shown;
+    }
+    default:
+      return String(value);
+  }
+}
+
+// Metrics down the side, one column per company. Companies that couldn't be
+// loaded keep their column so the table lines up with the input order.
+function renderComparison(entries) {
+  const header = `| Metric | ${entries.map((entry) => escapeMarkdown(entry.name || entry.input)).join(" | ")} |`;
+  const divider = `| --- | ${entries.map(() => "---").join(" | ")} |`;
+  const rows = METRICS.map(([key, label]) => {
+    const cells = entries.map((entry) =>
+      entry.status === "matched" ? formatCell(key, entry.metrics[key], entry.approximate) : entry.status === "not_found" ? "not found" : "error"
+    );
+    return `| ${label} | ${cells.map(escapeMarkdown).join(" | ")} |`;
+  });
+  return [header, divider, ...rows].join("\n");
+}
+
+module.exports = {
+  MIN_COMPARE,
+  MAX_COMPARE,
+  MISSING,
+  compareMetrics,
+  renderComparison,
+};
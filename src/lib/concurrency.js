@@ -0,0 +1,23 @@
+// Run fn over items with at most `limit` calls in flight, preserving order.
+// Failures are captured per item ({ error }) instead of rejecting the batch.
+async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapSettled };
@@ -0,0 +1,309 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const YAML = require("yaml");
+
+const DEFAULT_CONFIG_PATHS = [
+  path.join(os.homedir(), ".harmonic-mcp", "config.json"),
+  path.join(os.homedir(), ".harmonic-mcp", "config.yaml"),
+  path.join(os.homedir(), ".harmonic-mcp", "config.yml"),
+];
+
+const DEFAULT_EXPORT_DIR = path.join(os.homedir(), ".harmonic-mcp", "exports");
+const DEFAULT_PROMPTS_DIR = path.join(os.homedir(), ".harmonic-mcp", "prompts");
+const DEFAULT_STATE_DIR = path.join(os.homedir(), ".harmonic-mcp", "state");
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+const DEFAULT_API_BASE = "https://api.harmonic.ai";
+
+// Parse "--flag value" and "--flag=value" style arguments
+function parseArgs(argv = process.argv.slice(2)) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      args[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args[arg.slice(2)] = true;
+    }
+  }
+  return args;
+}
+
+// Resolve a user-supplied path, expanding a leading "~"
+function expandPath(filePath) {
+  return path.resolve(filePath.replace(/^~(?=$|\/)/, os.homedir()));
+}
+
+function loadConfigFile(filePath) {
+  const resolved = expandPath(filePath);
+  let raw;
+  try {
+    raw = fs.readFileSync(resolved, "utf8");
+  } catch (error) {
+    throw new Error(`Unable to read config file ${resolved}: ${error.message}`);
+  }
+
+  try {
+    const parsed = /\.ya?ml$/i.test(resolved) ? YAML.parse(raw) : JSON.parse(raw);
+    return { path: resolved, data: parsed || {} };
+  } catch (error) {
+    throw new Error(`Unable to parse config file ${resolved}: ${error.message}`);
+  }
+}
+
+function findConfigFile(args, env) {
+  if (typeof args.config === "string") return args.config;
+  if (env.HARMONIC_CONFIG) return env.HARMONIC_CONFIG;
+  return DEFAULT_CONFIG_PATHS.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+// A profile may hold the key inline (apiKey) or point at an environment
+// variable (apiKeyEnv) so the shared config file never contains secrets.
+function resolveProfileKey(profile, env) {
+  if (!profile) return null;
+  if (profile.apiKey) return profile.apiKey;
+  if (profile.apiKeyEnv) return env[profile.apiKeyEnv] || null;
+  return null;
+}
+
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const args = parseArgs(argv);
+  const configPath = findConfigFile(args, env);
+  const file = configPath ? loadConfigFile(configPath) : { path: null, data: {} };
+  const profiles = file.data.profiles || {};
+
+  return {
+    args,
+    configPath: file.path,
+    settings: file.data,
+    profiles,
+    defaultProfile: file.data.defaultProfile || null,
+    requestedProfile: typeof args.profile === "string" ? args.profile : env.HARMONIC_PROFILE || null,
+    env,
+  };
+}
+
+// Work out which key the server should start with. An explicitly requested
+// profile wins, then HARMONIC_API_KEY, then the config file's default profile
+// and finally a top-level apiKey in the config file.
+function resolveCredentials(config) {
+  const { profiles, env } = config;
+
+  if (config.requestedProfile) {
+    return getProfileCredentials(config, config.requestedProfile);
+  }
+
+  if (env.HARMONIC_API_KEY) {
+    return { apiKey: env.HARMONIC_API_KEY, profile: null, source: "HARMONIC_API_KEY" };
+  }
+
+  if (config.defaultProfile && profiles[config.defaultProfile]) {
+    return getProfileCredentials(config, config.defaultProfile);
+  }
+
+  if (config.settings.apiKey) {
+    return { apiKey: config.settings.apiKey, profile: null, source: config.configPath };
+  }
+
+  return null;
+}
+
+function getProfileCredentials(config, name) {
+  const profile = config.profiles[name];
+  if (!profile) {
+    const available = Object.keys(config.profiles);
+    throw new Error(
+      `Unknown profile "${name}". Available profiles: ${available.length ? available.join(", ") : "none"}`
+    );
+  }
+
+  const apiKey = resolveProfileKey(profile, config.env);
+  if (!apiKey) {
+    throw new Error(
+      `Profile "${name}" has no API key. Set "apiKey" or point "apiKeyEnv" at a defined environment variable.`
+    );
+  }
+
+  return { apiKey, profile: name, source: `profile:${name}` };
+}
+
+function listProfiles(config) {
+  return Object.entries(config.profiles).map(([name, profile]) => ({
+    name,
+    description: profile.description || null,
+    hasKey: Boolean(resolveProfileKey(profile, config.env)),
+    isDefault: name === config.defaultProfile,
+  }));
+}
+
+function readNumber(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Drop unset keys so they don't override the client's defaults when spread
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// Where API requests go, e.g. a local mock server. A trailing slash is dropped.
+function getApiBase(config) {
+  const { settings, args, env } = config;
+  const value = args["api-base"] || env.HARMONIC_API_BASE || settings.api?.baseUrl || DEFAULT_API_BASE;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Invalid Harmonic API base URL: ${value}`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`Harmonic API base URL must use http or https: ${value}`);
+  }
+  return url.toString().replace(/\/+$/, "");
+}
+
+// Options passed to every HarmonicClient the server creates
+function getClientOptions(config) {
+  const { settings, args, env } = config;
+  const retry = settings.retry || {};
+
+  return {
+    retry: compact({
+      maxAttempts: readNumber(args["max-attempts"]) ?? readNumber(env.HARMONIC_MAX_ATTEMPTS) ?? readNumber(retry.maxAttempts),
+      baseDelayMs: readNumber(retry.baseDelayMs),
+      maxDelayMs: readNumber(retry.maxDelayMs),
+      maxRetryAfterMs: readNumber(retry.maxRetryAfterMs),
+    }),
+  };
+}
+
+// Options for the request scheduler shared by all clients
+function getRateLimitOptions(config) {
+  const { settings, args, env } = config;
+  const rateLimit = settings.rateLimit || {};
+
+  return compact({
+    requestsPerSecond: readNumber(args.rps) ?? readNumber(env.HARMONIC_RPS) ?? readNumber(rateLimit.requestsPerSecond),
+    maxConcurrent: readNumber(args["max-concurrent"]) ?? readNumber(env.HARMONIC_MAX_CONCURRENT) ?? readNumber(rateLimit.maxConcurrent),
+  });
+}
+
+// Options for the response cache shared by all clients
+function getCacheOptions(config) {
+  const { settings, args, env } = config;
+  const cache = settings.cache || {};
+  const disabled = args["no-cache"] === true || env.HARMONIC_CACHE === "off";
+  const file = args["cache-file"] || env.HARMONIC_CACHE_FILE || cache.file;
+
+  return compact({
+    enabled: disabled ? false : cache.enabled,
+    maxEntries: readNumber(cache.maxEntries),
+    defaultTtlSeconds: readNumber(cache.defaultTtlSeconds),
+    ttlSeconds: cache.ttlSeconds,
+    file: typeof file === "string" ? expandPath(file) : undefined,
+  });
+}
+
+// Where harmonic_export may write, and its defaults
+function getExportOptions(config) {
+  const { settings, args, env } = config;
+  const exportSettings = settings.export || {};
+  const directory = args["export-dir"] || env.HARMONIC_EXPORT_DIR || exportSettings.directory || DEFAULT_EXPORT_DIR;
+
+  return {
+    directory: expandPath(directory),
+    maxResults: readNumber(exportSettings.maxResults),
+    columns: exportSettings.columns || {},
+  };
+}
+
+// Directory holding team-specific prompt templates
+function getPromptsDirectory(config) {
+  const { settings, args, env } = config;
+  const directory = args["prompts-dir"] || env.HARMONIC_PROMPTS_DIR || settings.prompts?.directory || DEFAULT_PROMPTS_DIR;
+  return expandPath(directory);
+}
+
+// Directory for local state such as saved search snapshots
+function getStateDirectory(config) {
+  const { settings, args, env } = config;
+  const directory = args["state-dir"] || env.HARMONIC_STATE_DIR || settings.state?.directory || DEFAULT_STATE_DIR;
+  return expandPath(directory);
+}
+
+function listOf(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(",")).map((item) => String(item).trim()).filter(Boolean);
+}
+
+// Our own team for intro path finding. Each member is a Harmonic person ID or
+// URN, a LinkedIn profile URL, or { name, person_id | linkedin_url } in the
+// config file. --team / HARMONIC_TEAM take a comma-separated list.
+function getTeamMembers(config) {
+  const { settings, args, env } = config;
+  const fromFlags = listOf(args.team || env.HARMONIC_TEAM);
+  const members = fromFlags.length ? fromFlags : settings.team?.members || [];
+  return members.map((member) =>
+    typeof member !== "object" || member === null
+      ? { reference: String(member ?? "").trim() }
+      : { name: member.name, reference: String(member.person_id ?? member.linkedin_url ?? "").trim() }
+  ).filter((member) => member.reference);
+}
+
+// How the server is reached: stdio (default) or HTTP for a shared instance
+function getTransportOptions(config) {
+  const { settings, args, env } = config;
+  const http = settings.http || {};
+
+  return {
+    transport: args.transport || env.HARMONIC_MCP_TRANSPORT || settings.transport || "stdio",
+    port: readNumber(args.port) ?? readNumber(env.PORT) ?? readNumber(http.port) ?? 3000,
+    host: args.host || env.HARMONIC_MCP_HOST || http.host || "127.0.0.1",
+    authTokens: [
+      ...listOf(args["auth-token"]),
+      ...listOf(env.HARMONIC_MCP_AUTH_TOKEN),
+      ...listOf(http.authTokens),
+    ],
+  };
+}
+
+// Idle HTTP sessions are closed after this long (0 keeps them forever)
+function getSessionOptions(config) {
+  const { settings, args, env } = config;
+  const sessions = settings.sessions || {};
+
+  return {
+    idleTimeoutMinutes:
+      readNumber(args["session-idle-minutes"]) ??
+      readNumber(env.HARMONIC_SESSION_IDLE_MINUTES) ??
+      readNumber(sessions.idleTimeoutMinutes) ??
+      DEFAULT_IDLE_TIMEOUT_MINUTES,
+  };
+}
+
+module.exports = {
+  parseArgs,
+  loadConfigFile,
+  loadConfig,
+  resolveCredentials,
+  getProfileCredentials,
+  listProfiles,
+  DEFAULT_API_BASE,
+  getApiBase,
+  getClientOptions,
+  getRateLimitOptions,
+  getCacheOptions,
+  getExportOptions,
+  getPromptsDirectory,
+  getStateDirectory,
+  getTeamMembers,
+  getTransportOptions,
+  getSessionOptions,
+  expandPath,
+};
@@ -0,0 +1,71 @@
+const { HarmonicApiError } = require("./errors.js");
+const { normalizeDomain } = require("./identifiers.js");
+const { firstEntity } = require("./resources.js");
+const { formatLocation } = require("./projection.js");
+const { toCsv, toMarkdown } = require("./formatters.js");
+
+const MAX_BATCH_SIZE = 200;
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const MAX_BATCH_CONCURRENCY = 10;
+
+// Normalise every input and fold duplicates together, so "https://www.acme.io"
+// and "acme.io/pricing" cost one lookup. Inputs that aren't domains are kept
+// with an error so they still get a row in the output.
+function planLookups(inputs) {
+  const lookups = new Map();
+  const rows = inputs.map((input) => {
+    const domain = normalizeDomain(input);
+    if (!domain) return { input, domain: null, status: "error", error: "Not a valid domain or URL" };
+    if (!lookups.has(domain)) lookups.set(domain, []);
+    const row = { input, domain };
+    lookups.get(domain).push(row);
+    return row;
+  });
+  return { rows, domains: [...lookups.keys()], lookups };
+}
+
+// Turn one lookup outcome ({ value } or { error }) into a row status
+function lookupOutcome({ value, error }) {
+  if (error) {
+    if (error instanceof HarmonicApiError && error.status === 404) return { status: "not_found" };
+    return { status: "error", error: error.message || String(error) };
+  }
+  const company = firstEntity(value);
+  if (!company || typeof company !== "object" || Array.isArray(company) || Object.keys(company).length === 0) {
+    return { status: "not_found" };
+  }
+  return { status: "matched", company };
+}
+
+function countStatuses(rows) {
+  const counts = { total: rows.length, matched: 0, not_found: 0, error: 0 };
+  for (const row of rows) counts[row.status]++;
+  return counts;
+}
+
+const ENRICHMENT_COLUMNS = [
+  ["Input", (row) => row.input],
+  ["Domain", (row) => row.domain],
+  ["Status", (row) => row.status],
+  ["Name", (row) => row.company?.name],
+  ["Stage", (row) => row.company?.stage || row.company?.funding?.funding_stage],
+  ["Headcount", (row) => row.company?.headcount],
+  ["Location", (row) => formatLocation(row.company?.location)],
+  ["Funding Total", (row) => row.company?.funding?.funding_total],
+  ["ID", (row) => row.company?.id ?? row.company?.entity_urn],
+  ["Error", (row) => row.error],
+];
+
+function renderEnrichmentTable(rows, format = "markdown") {
+  return format === "csv" ? toCsv(rows, ENRICHMENT_COLUMNS) : toMarkdown(rows, ENRICHMENT_COLUMNS);
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  DEFAULT_BATCH_CONCURRENCY,
+  MAX_BATCH_CONCURRENCY,
+  planLookups,
+  lookupOutcome,
+  countStatuses,
+  renderEnrichmentTable,
+};
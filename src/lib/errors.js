@@ -0,0 +1,18 @@
+// Raised by HarmonicClient once a request has definitively failed. Carries the
+// final HTTP status (null for network errors) and how many attempts were made.
+class HarmonicApiError extends Error {
+  constructor(message, { status = null, attempts = 1, retryable = false, retryAfterMs = null } = {}) {
+    const details = [`${attempts} attempt${attempts === 1 ? "" : "s"}`];
+    if (status !== null) details.push(`final status ${status}`);
+    if (retryAfterMs !== null) details.push(`retry after ${Math.ceil(retryAfterMs / 1000)}s`);
+
+    super(`${message} (${details.join(", ")})`);
+    this.name = "HarmonicApiError";
+    this.status = status;
+    this.attempts = attempts;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+module.exports = { HarmonicApiError };
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+const { entityType } = require("./projection.js");
+const { columnsFor, getPath, escapeCsv } = require("./formatters.js");
+
+const DEFAULT_EXPORT_MAX_RESULTS = 5000;
+const EXPORT_FORMATS = ["csv", "jsonl"];
+
+function defaultFilename(source, format) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return `harmonic-${source.replace(/_/g, "-")}-${stamp}.${format}`;
+}
+
+// Resolve `filename` inside the export directory. Only a bare file name is
+// accepted, and the result is checked against the real directory path so
+// "..", absolute paths and symlinked directories cannot escape it.
+function resolveExportPath(directory, filename, format, { overwrite = false } = {}) {
+  if (!directory) {
+    throw new Error("No export directory configured. Set export.directory in the config file, --export-dir or HARMONIC_EXPORT_DIR.");
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+  const root = fs.realpathSync(directory);
+
+  const name = filename.endsWith(`.${format}`) ? filename : `${filename}.${format}`;
+  if (name !== path.basename(name) || name.startsWith(".") || /[\\/\0]/.test(name)) {
+    throw new Error(`Invalid export filename "${filename}": use a plain file name without directories`);
+  }
+
+  const target = path.resolve(root, name);
+  if (path.dirname(target) !== root) {
+    throw new Error(`Export path ${target} is outside the export directory ${root}`);
+  }
+  let existing = null;
+  try {
+    existing = fs.lstatSync(target);
+  } catch {
+    // Not there yet
+  }
+  if (existing?.isSymbolicLink()) {
+    throw new Error(`Refusing to write through symbolic link ${target}`);
+  }
+  if (existing && !overwrite) {
+    throw new Error(`${target} already exists. Choose another filename or pass overwrite: true.`);
+  }
+  return target;
+}
+
+// Columns come from the tool call, then the config file's per-entity-type
+// mapping, then the default table columns. Mappings are { header: "dot.path" }.
+function exportColumns(items, columns, configuredColumns = {}) {
+  const first = items.find((item) => item !== null && item !== undefined);
+  const mapping = columns || (first !== undefined ? configuredColumns[entityType(first)] : null);
+  if (mapping && Object.keys(mapping).length) {
+    return Object.entries(mapping).map(([header, field]) => [header, (item) => getPath(item, field)]);
+  }
+  return columnsFor(items);
+}
+
+function serialize(items, format, columns) {
+  if (format === "jsonl") {
+    const rows = columns
+      ? items.map((item) => Object.fromEntries(columns.map(([header, get]) => [header, get(item) ?? null])))
+      : items;
+    return rows.map((row) => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : "");
+  }
+
+  const lines = [columns.map(([header]) => escapeCsv(header)).join(",")];
+  for (const item of items) {
+    lines.push(columns.map(([, get]) => escapeCsv(get(item))).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Write items to a new file; refuses to replace an existing one unless asked
+function writeExport(items, { filePath, format, columns, configuredColumns, overwrite = false }) {
+  const tableColumns = format === "csv" || columns ? exportColumns(items, columns, configuredColumns) : null;
+  fs.writeFileSync(filePath, serialize(items, format, tableColumns), { flag: overwrite ? "w" : "wx" });
+
+  return {
+    path: filePath,
+    format,
+    rows: items.length,
+    columns: tableColumns ? tableColumns.map(([header]) => header) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_EXPORT_MAX_RESULTS,
+  EXPORT_FORMATS,
+  defaultFilename,
+  resolveExportPath,
+  exportColumns,
+  writeExport,
+};
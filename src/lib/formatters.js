@@ -0,0 +1,118 @@
+const { entityType, formatLocation } = require("./projection.js");
+
+function currentPosition(person) {
+  return (person.experience || []).find((position) => position.is_current_position) || {};
+}
+
+// Default column set per entity type: [header, accessor]
+const COLUMNS = {
+  company: [
+    ["Name", (c) => c.name],
+    ["Domain", (c) => c.website?.domain],
+    ["Stage", (c) => c.stage || c.funding?.funding_stage],
+    ["Headcount", (c) => c.headcount],
+    ["Location", (c) => formatLocation(c.location)],
+    ["Founded", (c) => c.founding_date?.date],
+    ["Funding Total", (c) => c.funding?.funding_total],
+    ["Last Round", (c) => c.funding?.last_funding_type],
+    ["ID", (c) => c.id ?? c.entity_urn],
+  ],
+  person: [
+    ["Name", (p) => p.full_name],
+    ["Title", (p) => currentPosition(p).title],
+    ["Company", (p) => currentPosition(p).company_name],
+    ["Location", (p) => formatLocation(p.location)],
+    ["LinkedIn", (p) => (p.socials?.LINKEDIN || p.socials?.linkedin)?.url],
+    ["ID", (p) => p.id ?? p.entity_urn],
+  ],
+  // Some endpoints return bare URNs instead of records
+  urn: [["URN", (urn) => urn]],
+};
+
+function getPath(value, path) {
+  return path.split(".").reduce((current, key) => {
+    if (current === undefined || current === null) return undefined;
+    if (Array.isArray(current)) return current.map((item) => item?.[key]).filter((item) => item !== undefined);
+    return current[key];
+  }, value);
+}
+
+function fieldColumns(paths) {
+  return paths.map((path) => [path, (entity) => getPath(entity, path)]);
+}
+
+function columnsFor(items) {
+  const first = items.find((item) => item !== null && item !== undefined);
+  if (first === undefined || typeof first !== "object") return COLUMNS.urn;
+  return COLUMNS[entityType(first)];
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.map(cellText).filter(Boolean).join("; ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+// $25.5M, $1.2B, $800K
+function formatMoney(value) {
+  if (typeof value !== "number") return "";
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${Math.round(value / 1e3)}K`;
+  return `$${value}`;
+}
+
+// +12.3%, -4%
+function formatPercent(value) {
+  return typeof value === "number" ? `${value > 0 ? "+" : ""}${value}%` : "";
+}
+
+// RFC 4180 quoting, plus a leading quote on text that a spreadsheet would
+// otherwise evaluate as a formula
+function escapeCsv(value) {
+  let text = cellText(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toMarkdown(items, columns) {
+  const header = `| ${columns.map(([name]) => escapeMarkdown(name)).join(" | ")} |`;
+  const divider = `| ${columns.map(() => "---").join(" | ")} |`;
+  const rows = items.map(
+    (item) => `| ${columns.map(([, get]) => escapeMarkdown(cellText(get(item)))).join(" | ")} |`
+  );
+  return [header, divider, ...rows].join("\n");
+}
+
+function toCsv(items, columns) {
+  const header = columns.map(([name]) => escapeCsv(name)).join(",");
+  const rows = items.map((item) => columns.map(([, get]) => escapeCsv(get(item))).join(","));
+  return [header, ...rows].join("\r\n");
+}
+
+// Render a list of entities as a markdown table or CSV. `fields` (dot paths)
+// replaces the default columns for the entity type.
+function renderTable(items, { format, fields = [] }) {
+  const columns = fields.length ? fieldColumns(fields) : columnsFor(items);
+  return format === "csv" ? toCsv(items, columns) : toMarkdown(items, columns);
+}
+
+module.exports = {
+  COLUMNS,
+  getPath,
+  cellText,
+  escapeCsv,
+  escapeMarkdown,
+  formatMoney,
+  formatPercent,
+  columnsFor,
+  fieldColumns,
+  toCsv,
+  toMarkdown,
+  renderTable,
+};
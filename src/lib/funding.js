@@ -0,0 +1,171 @@
+const { parseDateBound, stageList } = require("./company-query.js");
+const { formatMoney, toMarkdown } = require("./formatters.js");
+
+const DEFAULT_PORTFOLIO_SCAN = 200;
+const MAX_PORTFOLIO_SCAN = 1000;
+
+// "Sequoia Capital" and "sequoia capital." are the same investor
+function investorKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[.,]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function investorName(investor) {
+  return typeof investor === "string" ? investor : investor?.investor_name || investor?.name || null;
+}
+
+function day(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+// Harmonic's funding.funding_rounds, newest first, with investors split into
+// leads and the rest
+function fundingRounds(company) {
+  const rounds = company.funding?.funding_rounds || company.funding_rounds || [];
+  return rounds
+    .map((round) => {
+      const investors = (round.investors || [])
+        .map((investor) => ({ name: investorName(investor), entity_urn: investor?.entity_urn || null, lead: Boolean(investor?.is_lead) }))
+        .filter((investor) => investor.name);
+      return {
+        date: day(round.announcement_date || round.date),
+        type: round.funding_round_type || round.type || null,
+        amount: round.funding_amount ?? round.amount ?? null,
+        currency: round.funding_currency || null,
+        post_money_valuation: round.post_money_valuation ?? null,
+        lead_investors: investors.filter((investor) => investor.lead).map((investor) => investor.name),
+        investors: investors.map((investor) => investor.name),
+        investor_urns: investors.map((investor) => investor.entity_urn),
+        source_url: round.source_url || null,
+      };
+    })
+    .sort((a, b) => String(b.date || "").localeCompare(String(a.date || "")));
+}
+
+// Every investor on the company, with the rounds they joined. Investors that
+// Harmonic lists on the company but not on any round keep an empty list.
+function companyInvestors(company, rounds) {
+  const investors = new Map();
+  const entry = (name, urn) => {
+    const key = investorKey(name);
+    if (!investors.has(key)) investors.set(key, { name, entity_urn: urn || null, led: false, rounds: [] });
+    return investors.get(key);
+  };
+  for (const round of [...rounds].reverse()) {
+    round.investors.forEach((name, index) => {
+      const investor = entry(name, round.investor_urns[index]);
+      investor.rounds.push([round.type, round.date].filter(Boolean).join(" "));
+      if (round.lead_investors.includes(name)) investor.led = true;
+    });
+  }
+  for (const investor of company.funding?.investors || company.investors || []) {
+    const name = investorName(investor);
+    if (name) entry(name, investor?.entity_urn);
+  }
+  return [...investors.values()];
+}
+
+function companyFunding(company) {
+  const rounds = fundingRounds(company);
+  return {
+    stage: company.stage || company.funding?.funding_stage || null,
+    funding_total: company.funding?.funding_total ?? null,
+    rounds: rounds.map(({ investor_urns, ...round }) => round),
+    investors: companyInvestors(company, rounds),
+  };
+}
+
+// Check and normalise the portfolio filters; throws with a user-facing message
+function parsePortfolioFilters({ stages, from_date, to_date }) {
+  const filters = {
+    stages: stageList(stages, "stages"),
+    from: from_date !== undefined ? parseDateBound(from_date, "from_date", { upper: false }) : null,
+    to: to_date !== undefined ? parseDateBound(to_date, "to_date", { upper: true }) : null,
+  };
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new Error(`from_date (${from_date}) is later than to_date (${to_date})`);
+  }
+  return filters;
+}
+
+// The rounds of `company` that `investor` took part in, narrowed by the
+// filters. Null when the company doesn't belong in the portfolio view:
+// the investor isn't on it, or none of their rounds pass the filters.
+function portfolioEntry(company, investor, filters) {
+  const wanted = investorKey(investor);
+  const rounds = fundingRounds(company).filter((round) => round.investors.some((name) => investorKey(name) === wanted));
+  const listed = rounds.length > 0 || (company.funding?.investors || company.investors || [])
+    .some((entry) => investorKey(investorName(entry)) === wanted);
+  if (!listed) return null;
+
+  const dated = filters.from || filters.to;
+  const matching = rounds.filter((round) =>
+    (!filters.stages.length || filters.stages.includes(round.type)) &&
+    (!filters.from || (round.date && round.date >= filters.from)) &&
+    (!filters.to || (round.date && round.date <= filters.to))
+  );
+  // Without round details, fall back to the company's stage and skip date filters
+  if (rounds.length === 0) {
+    const stage = company.stage || company.funding?.funding_stage;
+    if (dated || (filters.stages.length && !filters.stages.includes(stage))) return null;
+  } else if (matching.length === 0) {
+    return null;
+  }
+
+  return {
+    rounds: matching.map((round) => ({
+      date: round.date,
+      type: round.type,
+      amount: round.amount,
+      lead: round.lead_investors.some((name) => investorKey(name) === wanted),
+    })),
+    latest_round_date: matching[0]?.date || null,
+  };
+}
+
+const ROUND_COLUMNS = [
+  ["Date", (round) => round.date],
+  ["Type", (round) => round.type],
+  ["Amount", (round) => formatMoney(round.amount)],
+  ["Lead", (round) => round.lead_investors],
+  ["Investors", (round) => round.investors.filter((name) => !round.lead_investors.includes(name))],
+];
+
+const INVESTOR_COLUMNS = [
+  ["Investor", (investor) => investor.name],
+  ["Led a round", (investor) => (investor.led ? "yes" : "")],
+  ["Rounds", (investor) => investor.rounds],
+];
+
+function renderFunding(funding) {
+  const sections = [];
+  if (funding.rounds.length) sections.push(toMarkdown(funding.rounds, ROUND_COLUMNS));
+  if (funding.investors.length) sections.push(toMarkdown(funding.investors, INVESTOR_COLUMNS));
+  return sections.join("\n\n");
+}
+
+const PORTFOLIO_COLUMNS = [
+  ["Company", (entry) => entry.company.name],
+  ["Domain", (entry) => entry.company.domain],
+  ["Stage", (entry) => entry.company.stage],
+  ["Rounds", (entry) => entry.rounds.map((round) => [round.type, round.date].filter(Boolean).join(" ") + (round.lead ? " (lead)" : ""))],
+  ["Latest Round", (entry) => entry.latest_round_date],
+  ["ID", (entry) => entry.company.id ?? entry.company.entity_urn],
+];
+
+function renderPortfolio(entries) {
+  return toMarkdown(entries, PORTFOLIO_COLUMNS);
+}
+
+module.exports = {
+  DEFAULT_PORTFOLIO_SCAN,
+  MAX_PORTFOLIO_SCAN,
+  companyFunding,
+  parsePortfolioFilters,
+  portfolioEntry,
+  renderFunding,
+  renderPortfolio,
+};
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const http = require("http");
+const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+const { SSEServerTransport } = require("@modelcontextprotocol/sdk/server/sse.js");
+const { isInitializeRequest } = require("@modelcontextprotocol/sdk/types.js");
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest();
+}
+
+// Hash of the request's bearer token, or null when it has none
+function presentedToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? hashToken(match[1].trim()) : null;
+}
+
+// Constant-time comparison against every configured token
+function isAuthorized(req, authTokens) {
+  const presented = presentedToken(req);
+  if (!presented) return false;
+  return authTokens.some((token) => crypto.timingSafeEqual(presented, hashToken(token)));
+}
+
+// A session only answers to the token that opened it, so a leaked or guessed
+// session ID is useless with another client's token
+function ownsSession(req, session) {
+  const presented = presentedToken(req);
+  return Boolean(session && presented && crypto.timingSafeEqual(presented, session.tokenHash));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
+
+// Server.connect() takes over transport.onclose, so hook the server instead,
+// keeping whatever handler createServer installed
+function onServerClose(server, callback) {
+  const previous = server.onclose;
+  server.onclose = () => {
+    previous?.();
+    callback();
+  };
+}
+
+function badRequest(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(badRequest("Request body too large", 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (chunks.length === 0) return resolve(undefined);
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(badRequest(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Serve MCP over HTTP: Streamable HTTP on /mcp and the legacy SSE transport on
+// /sse + /messages. Every route except /health needs a bearer token, and each
+// session gets its own MCP Server from createServer(sessionId).
+function startHttpServer({ port, host, authTokens, createServer }) {
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = streamableSessions.get(sessionId);
+      if (!ownsSession(req, session)) return sendRpcError(res, 404, -32001, "Session not found");
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      return sendRpcError(res, 400, -32000, "Bad Request: No valid session ID provided");
+    }
+
+    // Generated up front so the MCP session and the HTTP session share one ID
+    const newSessionId = crypto.randomUUID();
+    const tokenHash = presentedToken(req);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => newSessionId,
+      onsessioninitialized: (id) => {
+        streamableSessions.set(id, { transport, tokenHash });
+        console.error(`[DEBUG] HTTP session opened: ${id}`);
+      },
+    });
+
+    const server = createServer(newSessionId);
+    await server.connect(transport);
+    onServerClose(server, () => {
+      streamableSessions.delete(newSessionId);
+      console.error(`[DEBUG] HTTP session closed: ${newSessionId}`);
+    });
+    return transport.handleRequest(req, res, body);
+  }
+
+  async function handleSse(req, res) {
+    const transport = new SSEServerTransport("/messages", res);
+    sseSessions.set(transport.sessionId, { transport, tokenHash: presentedToken(req) });
+    console.error(`[DEBUG] SSE session opened: ${transport.sessionId}`);
+    const server = createServer(transport.sessionId);
+    await server.connect(transport);
+    onServerClose(server, () => sseSessions.delete(transport.sessionId));
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = sseSessions.get(url.searchParams.get("sessionId"));
+    if (!ownsSession(req, session)) return sendRpcError(res, 404, -32001, "Session not found");
+    return session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+    try {
+      if (url.pathname === "/health") {
+        return sendJson(res, 200, { status: "ok" });
+      }
+
+      if (!isAuthorized(req, authTokens)) {
+        return sendJson(res, 401, { error: "Unauthorized" }, { "WWW-Authenticate": "Bearer" });
+      }
+
+      if (url.pathname === "/mcp" && ["GET", "POST", "DELETE"].includes(req.method)) {
+        return await handleStreamable(req, res);
+      }
+      if (url.pathname === "/sse" && req.method === "GET") {
+        return await handleSse(req, res);
+      }
+      if (url.pathname === "/messages" && req.method === "POST") {
+        return await handleSseMessage(req, res, url);
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      console.error(`[DEBUG] HTTP request failed:`, error);
+      if (!res.headersSent) {
+        const status = error.statusCode || 500;
+        sendRpcError(res, status, status === 500 ? -32603 : -32700, error.message);
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => resolve(httpServer));
+  });
+}
+
+module.exports = { startHttpServer, isAuthorized };
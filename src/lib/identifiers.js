@@ -0,0 +1,72 @@
+// Reduce a domain or URL to a bare lowercase host: "https://www.Acme.io/about"
+// becomes "acme.io". Returns null when nothing domain-like is left.
+function normalizeDomain(input) {
+  if (typeof input !== "string") return null;
+
+  let host = input.trim().toLowerCase();
+  host = host.replace(/^[a-z][a-z0-9+.-]*:\/\//, "");
+  host = host.split(/[/?#]/)[0];
+  host = host.replace(/^[^@]*@/, "");
+  host = host.replace(/:\d+$/, "");
+  host = host.replace(/\.$/, "");
+  host = host.replace(/^www\d*\./, "");
+
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) return null;
+  return host;
+}
+
+// "https://uk.linkedin.com/in/Jane-Doe/?trk=x" -> { type: "in", slug: "jane-doe",
+// url: "https://www.linkedin.com/in/jane-doe" }. Covers people, companies and schools.
+function parseLinkedInUrl(input) {
+  if (typeof input !== "string") return null;
+  const match = /^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?(?:www\.)?linkedin\.com\/(in|company|school)\/([^/?#\s]+)/i.exec(input.trim());
+  if (!match) return null;
+
+  let slug;
+  try {
+    slug = decodeURIComponent(match[2]).toLowerCase();
+  } catch {
+    return null;
+  }
+  const type = match[1].toLowerCase();
+  return { type, slug, url: `https://www.linkedin.com/${type}/${slug}` };
+}
+
+function isEmail(input) {
+  return typeof input === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.trim());
+}
+
+// "https://www.crunchbase.com/organization/acme-inc" -> "https://www.crunchbase.com/organization/acme-inc"
+function parseCrunchbaseUrl(input) {
+  if (typeof input !== "string") return null;
+  const match = /^(?:https?:\/\/)?(?:www\.)?crunchbase\.com\/organization\/([^/?#\s]+)/i.exec(input.trim());
+  return match ? `https://www.crunchbase.com/organization/${match[1].toLowerCase()}` : null;
+}
+
+// Work out what kind of company identifier we were given. Returns
+// { type: "id" | "linkedin_url" | "crunchbase_url" | "domain", value } or null.
+function detectCompanyIdentifier(input) {
+  const text = String(input ?? "").trim();
+  if (!text) return null;
+
+  const urn = /^urn:harmonic:company:(\d+)$/i.exec(text);
+  if (urn) return { type: "id", value: urn[1] };
+  if (/^\d+$/.test(text)) return { type: "id", value: text };
+
+  const linkedin = parseLinkedInUrl(text);
+  if (linkedin) return linkedin.type === "company" ? { type: "linkedin_url", value: linkedin.url } : null;
+
+  const crunchbase = parseCrunchbaseUrl(text);
+  if (crunchbase) return { type: "crunchbase_url", value: crunchbase };
+
+  const domain = normalizeDomain(text);
+  return domain ? { type: "domain", value: domain } : null;
+}
+
+module.exports = {
+  normalizeDomain,
+  parseLinkedInUrl,
+  parseCrunchbaseUrl,
+  isEmail,
+  detectCompanyIdentifier,
+};
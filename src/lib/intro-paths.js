@@ -0,0 +1,184 @@
+const { linkedinUrl } = require("./projection.js");
+const { toMarkdown } = require("./formatters.js");
+
+const DEFAULT_MAX_EMPLOYEES = 200;
+// Employees often come back as bare URNs that each cost a person lookup
+const MAX_EMPLOYEES = 1000;
+const DEFAULT_MAX_PATHS = 10;
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+// "Acme, Inc." and "ACME Inc" are the same employer
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[.,]/g, " ")
+    .replace(/\b(inc|llc|ltd|gmbh|corp|corporation|co|plc|sa|ag|bv)\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function companyUrn(entry) {
+  return typeof entry.company === "string" ? entry.company : entry.company?.entity_urn || null;
+}
+
+function sameCompany(a, b) {
+  const urnA = companyUrn(a);
+  const urnB = companyUrn(b);
+  if (urnA && urnB) return urnA === urnB;
+  const nameA = normalizeName(a.company_name);
+  return Boolean(nameA) && nameA === normalizeName(b.company_name);
+}
+
+// [start, end] in ms; a current or open-ended role runs until now. Null when
+// the start date is unknown.
+function tenure(entry, now) {
+  const start = Date.parse(entry.start_date || "");
+  if (Number.isNaN(start)) return null;
+  const end = Date.parse(entry.end_date || "");
+  return [start, Number.isNaN(end) || entry.is_current_position ? now : end];
+}
+
+function overlap(a, b) {
+  if (!a || !b) return null;
+  const start = Math.max(a[0], b[0]);
+  const end = Math.min(a[1], b[1]);
+  return end > start ? { start, end, months: Math.round((end - start) / MONTH_MS) } : null;
+}
+
+function month(ms) {
+  return new Date(ms).toISOString().slice(0, 7);
+}
+
+function schoolYears(entry, now) {
+  const start = Date.parse(entry.start_date || "");
+  const end = Date.parse(entry.end_date || "");
+  if (Number.isNaN(start) && Number.isNaN(end)) return null;
+  return [Number.isNaN(start) ? end : start, Number.isNaN(end) ? now : end];
+}
+
+// Every overlap between a team member's history and a target employee's, with
+// a weight: worked together > same employer at different times; studied at
+// the same time > same school.
+function findOverlaps(member, contact, isTarget, now = Date.now()) {
+  const evidence = [];
+
+  for (const ours of member.experience || []) {
+    if (isTarget(ours)) continue;
+    for (const theirs of contact.experience || []) {
+      if (!sameCompany(ours, theirs)) continue;
+      const together = overlap(tenure(ours, now), tenure(theirs, now));
+      evidence.push({
+        type: together ? "overlapping_tenure" : "shared_employer",
+        company: ours.company_name || theirs.company_name,
+        member_role: ours.title || null,
+        contact_role: theirs.title || null,
+        ...(together && { overlap: `${month(together.start)} to ${month(together.end)}`, months: together.months }),
+        weight: together ? 3 + Math.min(together.months, 36) / 12 : 1,
+      });
+    }
+  }
+
+  for (const ours of member.education || []) {
+    const school = normalizeName(ours.school?.name);
+    if (!school) continue;
+    for (const theirs of contact.education || []) {
+      if (normalizeName(theirs.school?.name) !== school) continue;
+      const together = overlap(schoolYears(ours, now), schoolYears(theirs, now));
+      evidence.push({
+        type: together ? "overlapping_school" : "shared_school",
+        school: ours.school.name,
+        ...(together && { overlap: `${month(together.start)} to ${month(together.end)}` }),
+        weight: together ? 2 : 0.5,
+      });
+    }
+  }
+
+  return evidence;
+}
+
+function currentRole(person, isTarget) {
+  const position = (person.experience || []).find((entry) => entry.is_current_position && isTarget(entry))
+    || (person.experience || []).find((entry) => entry.is_current_position);
+  return position?.title || null;
+}
+
+function personRef(person) {
+  return { id: person.id ?? null, entity_urn: person.entity_urn ?? null, name: person.full_name || null, linkedin: linkedinUrl(person) };
+}
+
+// Rank every (team member, employee) pair with at least one overlap by the
+// summed weight of its evidence. Team members who already work at the target
+// come first as direct paths.
+function rankIntroPaths(members, employees, target) {
+  const targetUrns = new Set([target.entity_urn, target.id !== undefined ? `urn:harmonic:company:${target.id}` : null].filter(Boolean));
+  const targetName = normalizeName(target.name);
+  const isTarget = (entry) => {
+    const urn = companyUrn(entry);
+    return urn ? targetUrns.has(urn) : Boolean(targetName) && normalizeName(entry.company_name) === targetName;
+  };
+
+  const paths = [];
+  for (const member of members) {
+    if ((member.experience || []).some((entry) => entry.is_current_position && isTarget(entry))) {
+      paths.push({
+        score: 100,
+        team_member: personRef(member),
+        contact: { ...personRef(member), title: currentRole(member, isTarget) },
+        evidence: [{ type: "works_there", company: target.name, member_role: currentRole(member, isTarget) }],
+      });
+      continue;
+    }
+    for (const employee of employees) {
+      if (employee.entity_urn && employee.entity_urn === member.entity_urn) continue;
+      const evidence = findOverlaps(member, employee, isTarget);
+      if (evidence.length === 0) continue;
+      const score = evidence.reduce((sum, item) => sum + item.weight, 0);
+      paths.push({
+        score: Math.round(score * 10) / 10,
+        team_member: personRef(member),
+        contact: { ...personRef(employee), title: currentRole(employee, isTarget) },
+        evidence: evidence
+          .sort((a, b) => b.weight - a.weight)
+          .map(({ weight, ...item }) => item),
+      });
+    }
+  }
+
+  return paths.sort((a, b) => b.score - a.score);
+}
+
+function describeEvidence(item) {
+  switch (item.type) {
+    case "works_there":
+      return `Works there${item.member_role ? ` as ${item.member_role}` : ""}`;
+    case "overlapping_tenure":
+      return `Both at ${item.company} ${item.overlap}`;
+    case "shared_employer":
+      return `Both worked at ${item.company} (different times)`;
+    case "overlapping_school":
+      return `Both at ${item.school} ${item.overlap}`;
+    default:
+      return `Both attended ${item.school}`;
+  }
+}
+
+const PATH_COLUMNS = [
+  ["Score", (path) => path.score],
+  ["Team Member", (path) => path.team_member.name],
+  ["Contact", (path) => path.contact.name],
+  ["Contact Title", (path) => path.contact.title],
+  ["Evidence", (path) => path.evidence.map(describeEvidence)],
+  ["Contact LinkedIn", (path) => path.contact.linkedin],
+];
+
+function renderIntroPaths(paths) {
+  return toMarkdown(paths, PATH_COLUMNS);
+}
+
+module.exports = {
+  DEFAULT_MAX_EMPLOYEES,
+  DEFAULT_MAX_PATHS,
+  MAX_EMPLOYEES,
+  rankIntroPaths,
+  renderIntroPaths,
+};
@@ -0,0 +1,112 @@
+const DEFAULT_MAX_RESULTS = 500;
+// Safety net against an API that keeps handing back cursors
+const MAX_PAGES = 200;
+// Largest page Harmonic's list endpoints serve
+const MAX_PAGE_SIZE = 1000;
+// Largest max_results a single call may ask for
+const MAX_RESULTS_LIMIT = 10000;
+
+// size and max_results must be whole numbers within what the API serves;
+// anything else is rejected before a request is made. Throws with a
+// user-facing message.
+function checkPageArgs({ size, max_results } = {}) {
+  for (const [value, name, max] of [[size, "size", MAX_PAGE_SIZE], [max_results, "max_results", MAX_RESULTS_LIMIT]]) {
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      throw new Error(`${name} must be a whole number from 1 to ${max}, got ${JSON.stringify(value)}`);
+    }
+  }
+}
+
+// Harmonic list endpoints return { count, page_info: { next, has_next }, results }
+function pageItems(page) {
+  if (Array.isArray(page)) return page;
+  if (!page || typeof page !== "object") return [];
+  return page.results || page.data || [];
+}
+
+function nextCursor(page) {
+  if (!page || typeof page !== "object" || Array.isArray(page)) return null;
+  const info = page.page_info || {};
+  if (info.has_next === false) return null;
+  return info.next || page.next_cursor || null;
+}
+
+// Employees and saved-search results may come back as bare URNs
+function itemKey(item) {
+  if (item === null || typeof item !== "object") return String(item);
+  return String(item.entity_urn ?? item.urn ?? item.id ?? JSON.stringify(item));
+}
+
+// Walk cursors from startCursor until the results run out or maxResults is
+// reached. fetchPage(cursor, size) returns one raw page; the last page is
+// requested with a smaller size so the cap never splits a page, which keeps
+// the returned cursor an exact resume point.
+async function collectPages(fetchPage, { startCursor = null, pageSize = 50, maxResults = DEFAULT_MAX_RESULTS, onProgress } = {}) {
+  // A zero or negative page size would spin through MAX_PAGES empty requests
+  if (!Number.isInteger(pageSize) || pageSize < 1) throw new Error(`Page size must be a positive whole number, got ${pageSize}`);
+  const results = [];
+  const seen = new Set();
+  let cursor = startCursor;
+  let total = null;
+  let pages = 0;
+  let duplicates = 0;
+
+  while (pages < MAX_PAGES && results.length < maxResults) {
+    const page = await fetchPage(cursor, Math.min(pageSize, maxResults - results.length));
+    pages++;
+    if (total === null && typeof page?.count === "number") total = page.count;
+
+    const items = pageItems(page);
+    for (const item of items) {
+      const key = itemKey(item);
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+      results.push(item);
+    }
+
+    cursor = items.length > 0 ? nextCursor(page) : null;
+
+    if (onProgress) {
+      await onProgress({
+        fetched: results.length,
+        total: total === null ? undefined : Math.min(total, maxResults),
+        pages,
+      });
+    }
+
+    if (!cursor) break;
+  }
+
+  // Should the API return more than was asked for, honour the cap anyway
+  const capped = results.slice(0, maxResults);
+
+  return {
+    count: total,
+    results: capped,
+    page_info: {
+      next: cursor,
+      has_next: cursor !== null,
+    },
+    pagination: {
+      pages,
+      fetched: capped.length,
+      duplicates_removed: duplicates,
+      stopped_at_cap: cursor !== null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_RESULTS,
+  MAX_PAGE_SIZE,
+  MAX_RESULTS_LIMIT,
+  checkPageArgs,
+  pageItems,
+  nextCursor,
+  itemKey,
+  collectPages,
+};
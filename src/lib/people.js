@@ -0,0 +1,140 @@
+const { parseLinkedInUrl } = require("./identifiers.js");
+const { formatLocation, linkedinUrl, withoutEmpty } = require("./projection.js");
+
+const DEFAULT_MAX_CANDIDATES = 5;
+// Search hits scoring below this aren't worth showing as candidates
+const MIN_CANDIDATE_CONFIDENCE = 0.2;
+
+function position(entry) {
+  return withoutEmpty({
+    title: entry.title,
+    company: entry.company_name,
+    company_urn: typeof entry.company === "string" ? entry.company : entry.company?.entity_urn,
+    department: entry.department,
+    start_date: entry.start_date,
+    end_date: entry.end_date,
+  });
+}
+
+// Current roles, full work history and education in a fixed shape
+function personProfile(person) {
+  const experience = person.experience || [];
+  return withoutEmpty({
+    id: person.id,
+    entity_urn: person.entity_urn,
+    full_name: person.full_name,
+    headline: person.linkedin_headline || person.headline,
+    location: formatLocation(person.location),
+    linkedin: linkedinUrl(person),
+    current_roles: experience.filter((entry) => entry.is_current_position).map(position),
+    experience: experience.map((entry) => ({ ...position(entry), current: Boolean(entry.is_current_position) })),
+    education: (person.education || []).map((entry) =>
+      withoutEmpty({
+        school: entry.school?.name,
+        degree: entry.degree,
+        field: entry.field,
+        start_date: entry.start_date,
+        end_date: entry.end_date,
+      })
+    ),
+  });
+}
+
+function personEmails(person) {
+  const contact = person.contact || {};
+  return [contact.primary_email, ...(contact.emails || [])]
+    .filter(Boolean)
+    .map((email) => String(email).toLowerCase());
+}
+
+function words(text) {
+  return String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter((word) => word.length > 1);
+}
+
+// Share of the person's name words found in `text` (an email local part or
+// LinkedIn slug), e.g. "jane.doe" against "Jane Doe" -> 1
+function nameOverlap(person, text) {
+  const name = words(person.full_name);
+  if (name.length === 0) return 0;
+  const haystack = String(text).toLowerCase();
+  return name.filter((word) => haystack.includes(word)).length / name.length;
+}
+
+// Where the email domain's first label names one of the person's employers
+function employerMatch(person, domain) {
+  const label = domain.split(".")[0];
+  if (label.length < 2) return null;
+  const matches = (person.experience || []).filter((entry) => words(entry.company_name).join("").includes(label));
+  if (matches.some((entry) => entry.is_current_position)) return "current";
+  return matches.length ? "past" : null;
+}
+
+// Confidence (0-1) that a search hit is the person behind a LinkedIn URL or
+// email, with the evidence behind it. Only an identical LinkedIn profile or an
+// email on record scores 1.
+function scoreCandidate(person, { linkedin, email }) {
+  if (linkedin) {
+    const candidate = parseLinkedInUrl(linkedinUrl(person) || "");
+    if (candidate && candidate.slug === linkedin.slug) {
+      return { confidence: 1, reasons: ["LinkedIn profile URL matches"] };
+    }
+    const overlap = nameOverlap(person, linkedin.slug);
+    return {
+      confidence: Math.round(overlap * 0.6 * 100) / 100,
+      reasons: overlap ? [`Name matches ${Math.round(overlap * 100)}% of the LinkedIn handle`] : [],
+    };
+  }
+
+  const address = email.toLowerCase();
+  if (personEmails(person).includes(address)) {
+    return { confidence: 1, reasons: ["Email address on record"] };
+  }
+
+  const [local, domain] = address.split("@");
+  const reasons = [];
+  let confidence = 0;
+  const overlap = nameOverlap(person, local);
+  if (overlap) {
+    confidence += overlap * 0.5;
+    reasons.push(`Name matches ${Math.round(overlap * 100)}% of the email address`);
+  }
+  const employer = employerMatch(person, domain);
+  if (employer) {
+    confidence += employer === "current" ? 0.4 : 0.2;
+    reasons.push(`Email domain matches a ${employer} employer`);
+  }
+  return { confidence: Math.round(Math.min(confidence, 0.95) * 100) / 100, reasons };
+}
+
+// Score and rank search hits. A single exact match resolves the lookup;
+// anything else is reported as ranked candidates rather than a guess.
+function rankCandidates(people, target, maxCandidates = DEFAULT_MAX_CANDIDATES) {
+  const ranked = people
+    .map((person) => ({ person, ...scoreCandidate(person, target) }))
+    .filter((candidate) => candidate.confidence >= MIN_CANDIDATE_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const exact = ranked.filter((candidate) => candidate.confidence === 1);
+  if (exact.length === 1) return { status: "matched", match: exact[0], candidates: [] };
+  if (ranked.length === 0) return { status: "not_found", candidates: [] };
+  return { status: "ambiguous", candidates: ranked.slice(0, maxCandidates) };
+}
+
+// Free-text queries to try for a LinkedIn handle or email, most specific first
+function searchQueries({ linkedin, email }) {
+  if (linkedin) {
+    // Drop LinkedIn's disambiguating suffix: "jane-doe-4b2a19" -> "jane doe"
+    const name = linkedin.slug.replace(/-[a-z0-9]*\d[a-z0-9]*$/, "").replace(/[-_]+/g, " ").trim();
+    return [name].filter(Boolean);
+  }
+  const local = email.split("@")[0];
+  const name = /[._-]/.test(local) ? local.replace(/[0-9]+/g, "").split(/[._-]+/).filter(Boolean).join(" ") : null;
+  return [email, name].filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_MAX_CANDIDATES,
+  personProfile,
+  rankCandidates,
+  searchQueries,
+};
@@ -0,0 +1,153 @@
+const { pageItems } = require("./pagination.js");
+
+function parseFields(fields) {
+  if (!fields) return [];
+  const list = Array.isArray(fields) ? fields : String(fields).split(",");
+  return list.map((field) => field.trim()).filter(Boolean);
+}
+
+// Pick one dot path out of a value. Arrays are mapped over, so
+// "funding.investors.name" yields the name of every investor.
+function pick(value, parts) {
+  if (parts.length === 0) return value;
+  if (Array.isArray(value)) {
+    const picked = value.map((item) => pick(item, parts)).filter((item) => item !== undefined);
+    return picked.length ? picked : undefined;
+  }
+  if (value === null || typeof value !== "object" || !(parts[0] in value)) return undefined;
+
+  const child = pick(value[parts[0]], parts.slice(1));
+  return child === undefined ? undefined : { [parts[0]]: child };
+}
+
+function merge(target, source) {
+  if (Array.isArray(target) && Array.isArray(source)) {
+    return source.map((item, i) => (i < target.length ? merge(target[i], item) : item));
+  }
+  if (target && source && typeof target === "object" && typeof source === "object") {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+      merged[key] = key in merged ? merge(merged[key], value) : value;
+    }
+    return merged;
+  }
+  return source;
+}
+
+function projectFields(entity, fields) {
+  if (entity === null || typeof entity !== "object") return entity;
+  return fields.reduce((result, field) => {
+    const picked = pick(entity, field.split("."));
+    return picked === undefined ? result : merge(result, picked);
+  }, {});
+}
+
+// Number of leaf values in a JSON value, used to report what a projection dropped
+function countFields(value) {
+  if (Array.isArray(value)) return value.reduce((sum, item) => sum + countFields(item), 0);
+  if (value !== null && typeof value === "object") {
+    return Object.values(value).reduce((sum, item) => sum + countFields(item), 0);
+  }
+  return 1;
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) => value !== undefined && value !== null && value !== "" && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+function formatLocation(location) {
+  if (!location) return null;
+  if (typeof location === "string") return location;
+  if (location.location) return location.location;
+  return [location.city, location.state, location.country].filter(Boolean).join(", ") || null;
+}
+
+function linkedinUrl(entity) {
+  const socials = entity.socials || {};
+  return (socials.LINKEDIN || socials.linkedin || {}).url || null;
+}
+
+function summarizeCompany(company) {
+  const funding = company.funding || {};
+  return withoutEmpty({
+    id: company.id,
+    entity_urn: company.entity_urn,
+    name: company.name,
+    domain: company.website?.domain,
+    website: company.website?.url,
+    description: company.short_description || company.description,
+    stage: company.stage || funding.funding_stage,
+    headcount: company.headcount,
+    location: formatLocation(company.location),
+    founded: company.founding_date?.date,
+    funding_total: funding.funding_total,
+    last_funding_type: funding.last_funding_type,
+    last_funding_at: funding.last_funding_at,
+    linkedin: linkedinUrl(company),
+  });
+}
+
+function summarizePerson(person) {
+  const experience = person.experience || [];
+  return withoutEmpty({
+    id: person.id,
+    entity_urn: person.entity_urn,
+    full_name: person.full_name,
+    headline: person.linkedin_headline || person.headline,
+    location: formatLocation(person.location),
+    linkedin: linkedinUrl(person),
+    current_positions: experience
+      .filter((position) => position.is_current_position)
+      .map((position) => withoutEmpty({ title: position.title, company: position.company_name })),
+    education: (person.education || []).map((entry) =>
+      withoutEmpty({ school: entry.school?.name, degree: entry.degree, field: entry.field })
+    ),
+  });
+}
+
+// "urn" for the bare URN strings some endpoints return instead of records
+function entityType(entity) {
+  if (entity === null || typeof entity !== "object") return "urn";
+  const urn = String(entity.entity_urn || entity.urn || "");
+  if (urn.includes(":person:") || "full_name" in entity) return "person";
+  return "company";
+}
+
+function summarize(entity) {
+  if (entity === null || typeof entity !== "object") return entity;
+  return entityType(entity) === "person" ? summarizePerson(entity) : summarizeCompany(entity);
+}
+
+// Apply a `fields` projection or `detail: "summary"` to a single entity, a
+// list page ({ results: [...] }) or an array. Returns the shaped data and the
+// number of leaf fields that were left out.
+function shapeResponse(data, { fields, detail = "full" } = {}) {
+  const paths = parseFields(fields);
+  if (paths.length === 0 && detail !== "summary") return { data, omitted: 0 };
+
+  const shape = (entity) => (paths.length ? projectFields(entity, paths) : summarize(entity));
+  const isList = Array.isArray(data) || Array.isArray(data?.results);
+  const entities = isList ? pageItems(data) : [data];
+  const shaped = entities.map(shape);
+  const omitted = countFields(entities) - countFields(shaped);
+
+  if (Array.isArray(data)) return { data: shaped, omitted };
+  if (isList) return { data: { ...data, results: shaped }, omitted };
+  return { data: shaped[0], omitted };
+}
+
+module.exports = {
+  parseFields,
+  projectFields,
+  countFields,
+  summarize,
+  entityType,
+  formatLocation,
+  linkedinUrl,
+  withoutEmpty,
+  shapeResponse,
+};
@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+// Templates use {{argument}} placeholders. An argument's `default` fills the
+// placeholder when an optional argument is left out.
+const BUILTIN_PROMPTS = [
+  {
+    name: "company_diligence",
+    description: "Due diligence briefing on a company",
+    arguments: [
+      { name: "domain", description: "Website domain of the company (e.g., harmonic.ai)", required: true },
+    ],
+    template: [
+      "Prepare a due diligence briefing on the company at {{domain}}.",
+      "",
+      "1. Look the company up with harmonic_search_company_by_domain (domain: {{domain}}).",
+      "2. From the result, summarise what the company does, its stage, headcount, location, founding date and funding history (total raised, last round, investors).",
+      "3. Fetch the team with harmonic_get_company_employees using the company's ID and detail: \"summary\". Identify the founders and senior leadership.",
+      "4. Close with strengths, risks and open questions for a first call.",
+      "",
+      "Cite the Harmonic data you relied on and say clearly when a field is missing.",
+    ].join("\n"),
+  },
+  {
+    name: "founder_check",
+    description: "Background check on a founder or executive",
+    arguments: [
+      { name: "person_id", description: "Harmonic ID of the person", required: true },
+    ],
+    template: [
+      "Run a background check on the person with Harmonic ID {{person_id}}.",
+      "",
+      "1. Read the harmonic://person/{{person_id}} resource, or search for them with harmonic_search_people if it is unavailable.",
+      "2. Lay out their career history in order: companies, titles and tenure. Flag gaps and very short stints.",
+      "3. Summarise their education.",
+      "4. For previous companies they founded or led, look each up with harmonic_search_companies and note outcomes such as funding raised or headcount.",
+      "",
+      "Finish with a short assessment of founder-market fit and anything worth verifying in a reference call.",
+    ].join("\n"),
+  },
+  {
+    name: "competitive_landscape",
+    description: "Map the competitors of a company",
+    arguments: [
+      { name: "domain", description: "Website domain of the company (e.g., harmonic.ai)", required: true },
+      { name: "focus", description: "Optional angle, e.g. a geography or customer segment", required: false, default: "none given" },
+    ],
+    template: [
+      "Map the competitive landscape for the company at {{domain}}. Focus: {{focus}}.",
+      "",
+      "1. Look the company up with harmonic_search_company_by_domain to understand its product, market and stage.",
+      "2. Get ranked peers with harmonic_find_similar_companies (company: {{domain}}), narrowing with its stage, country or headcount filters if the focus calls for it. Fill gaps with harmonic_search_companies queries built from the product category, using detail: \"summary\".",
+      "3. Keep the 5-10 closest competitors and compare them in a table: stage, headcount, funding total, last round, location.",
+      "4. Describe how the target company is positioned against them.",
+    ].join("\n"),
+  },
+  {
+    name: "saved_search_new",
+    description: "New companies in a saved search since the last check",
+    arguments: [
+      { name: "search_id", description: "ID of the saved search", required: true },
+      { name: "since", description: "Cut-off used when there is no earlier snapshot, e.g. 'last week' or 2024-06-01", required: false, default: "last week" },
+    ],
+    template: [
+      "Report what is new in saved search {{search_id}} since {{since}}.",
+      "",
+      "1. Run harmonic_saved_search_diff (search_id: {{search_id}}). It compares the search against the snapshot from the last check and returns the entities added and removed, plus changes to headcount and funding.",
+      "2. If it reports first_snapshot, there is nothing to compare against yet: fetch the results with harmonic_get_saved_search_results (search_id: {{search_id}}, fetch_all: true, detail: \"summary\") and keep the entries founded or funded since {{since}}.",
+      "3. Present the new entries as a table with name, domain, stage, headcount and funding, then highlight the three most interesting and explain why.",
+      "4. Briefly list notable changes (headcount jumps, new funding rounds) and anything that dropped out of the search.",
+    ].join("\n"),
+  },
+];
+
+// A prompt file is YAML/JSON with name, description, arguments and template,
+// or markdown whose YAML front matter holds everything except the template.
+function parsePromptFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  const ext = path.extname(filePath).toLowerCase();
+  let prompt;
+
+  if (ext === ".md") {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(raw);
+    prompt = match ? { ...YAML.parse(match[1]), template: match[2].trim() } : { template: raw.trim() };
+  } else if (ext === ".json") {
+    prompt = JSON.parse(raw);
+  } else {
+    prompt = YAML.parse(raw);
+  }
+
+  prompt.name = prompt.name || path.basename(filePath, ext);
+  if (!prompt.template) throw new Error("missing template");
+  return {
+    name: prompt.name,
+    description: prompt.description || "",
+    arguments: prompt.arguments || [],
+    template: prompt.template,
+    source: filePath,
+  };
+}
+
+function loadPromptDirectory(directory) {
+  if (!directory || !fs.existsSync(directory)) return [];
+
+  const prompts = [];
+  for (const file of fs.readdirSync(directory).sort()) {
+    if (!/\.(md|json|ya?ml)$/i.test(file)) continue;
+    try {
+      prompts.push(parsePromptFile(path.join(directory, file)));
+    } catch (error) {
+      console.error(`[DEBUG] Skipping prompt file ${file}: ${error.message}`);
+    }
+  }
+  return prompts;
+}
+
+// Built-in prompts plus any from the prompts directory. A custom prompt with
+// the same name as a built-in one replaces it.
+function loadPrompts(directory) {
+  const prompts = new Map(BUILTIN_PROMPTS.map((prompt) => [prompt.name, prompt]));
+  for (const prompt of loadPromptDirectory(directory)) {
+    prompts.set(prompt.name, prompt);
+  }
+  return prompts;
+}
+
+function renderPrompt(prompt, args = {}) {
+  const missing = prompt.arguments.filter((arg) => arg.required && !args[arg.name]).map((arg) => arg.name);
+  if (missing.length) {
+    throw new Error(`Missing required argument${missing.length === 1 ? "" : "s"}: ${missing.join(", ")}`);
+  }
+
+  const defaults = Object.fromEntries(prompt.arguments.map((arg) => [arg.name, arg.default ?? ""]));
+  return prompt.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => args[name] || defaults[name] || "");
+}
+
+// The prompts/list entry for a prompt: templates and defaults stay server-side
+function describePrompt(prompt) {
+  return {
+    name: prompt.name,
+    description: prompt.description,
+    arguments: prompt.arguments.map(({ name, description, required }) => ({
+      name,
+      description: description || "",
+      required: Boolean(required),
+    })),
+  };
+}
+
+module.exports = {
+  BUILTIN_PROMPTS,
+  loadPrompts,
+  renderPrompt,
+  describePrompt,
+};
@@ -0,0 +1,79 @@
+const DEFAULT_RATE_LIMIT_OPTIONS = {
+  requestsPerSecond: 5,
+  maxConcurrent: 4,
+};
+
+// FIFO scheduler shared by every HarmonicClient the server creates. Starts are
+// spaced 1/requestsPerSecond apart and at most maxConcurrent tasks run at once.
+// A value of 0 disables the corresponding limit.
+class RequestScheduler {
+  constructor(options = {}) {
+    const { requestsPerSecond, maxConcurrent } = { ...DEFAULT_RATE_LIMIT_OPTIONS, ...options };
+    this.requestsPerSecond = requestsPerSecond;
+    this.maxConcurrent = maxConcurrent;
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.concurrency = maxConcurrent > 0 ? maxConcurrent : Infinity;
+    this.queue = [];
+    this.inFlight = 0;
+    this.nextStartAt = 0;
+    this.timer = null;
+    this.started = 0;
+    this.totalWaitMs = 0;
+  }
+
+  schedule(task, label = "request") {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, label, resolve, reject, enqueuedAt: Date.now() });
+      console.error(
+        `[DEBUG] Scheduler: queued ${label} (queue depth ${this.queue.length}, in flight ${this.inFlight})`
+      );
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.inFlight < this.concurrency) {
+      const now = Date.now();
+      if (now < this.nextStartAt) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, this.nextStartAt - now);
+        return;
+      }
+
+      const job = this.queue.shift();
+      const waitMs = now - job.enqueuedAt;
+      this.nextStartAt = now + this.interval;
+      this.inFlight++;
+      this.started++;
+      this.totalWaitMs += waitMs;
+      console.error(
+        `[DEBUG] Scheduler: starting ${job.label} after ${waitMs}ms wait (queue depth ${this.queue.length}, in flight ${this.inFlight})`
+      );
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.inFlight--;
+          this.drain();
+        });
+    }
+  }
+
+  stats() {
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      maxConcurrent: this.maxConcurrent,
+      queued: this.queue.length,
+      inFlight: this.inFlight,
+      started: this.started,
+      averageWaitMs: this.started ? Math.round(this.totalWaitMs / this.started) : 0,
+    };
+  }
+}
+
+module.exports = { DEFAULT_RATE_LIMIT_OPTIONS, RequestScheduler };
@@ -0,0 +1,117 @@
+const { summarize } = require("./projection.js");
+const { renderTable } = require("./formatters.js");
+const { pageItems } = require("./pagination.js");
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "harmonic://company/{id}",
+    name: "Company by Harmonic ID",
+    description: "Company profile looked up by its Harmonic ID",
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: "harmonic://company/domain/{domain}",
+    name: "Company by domain",
+    description: "Company profile looked up by its website domain (e.g., harmonic.ai)",
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: "harmonic://person/{id}",
+    name: "Person by Harmonic ID",
+    description: "Person profile looked up by their Harmonic ID",
+    mimeType: "text/markdown",
+  },
+  {
+    uriTemplate: "harmonic://saved-search/{id}",
+    name: "Saved search results",
+    description: "First page of results for a saved search",
+    mimeType: "text/markdown",
+  },
+];
+
+// A saved search as a concrete resource, so clients can list them by name
+function savedSearchResource(search) {
+  return {
+    uri: `harmonic://saved-search/${encodeURIComponent(search.id)}`,
+    name: search.name || `Saved search ${search.id}`,
+    description: `Results of the ${search.type === "PERSONS" ? "people" : "company"} saved search "${search.name || search.id}"`,
+    mimeType: "text/markdown",
+  };
+}
+
+// Order matters: the domain form must be tried before the ID form
+const URI_PATTERNS = [
+  { type: "company_domain", pattern: /^harmonic:\/\/company\/domain\/([^/]+)$/ },
+  { type: "company", pattern: /^harmonic:\/\/company\/([^/]+)$/ },
+  { type: "person", pattern: /^harmonic:\/\/person\/([^/]+)$/ },
+  { type: "saved_search", pattern: /^harmonic:\/\/saved-search\/([^/]+)$/ },
+];
+
+function parseResourceUri(uri) {
+  for (const { type, pattern } of URI_PATTERNS) {
+    const match = pattern.exec(uri);
+    if (match) return { type, id: decodeURIComponent(match[1]) };
+  }
+  return null;
+}
+
+const LABELS = { id: "ID", entity_urn: "URN", linkedin: "LinkedIn" };
+
+function humanize(key) {
+  if (LABELS[key]) return LABELS[key];
+  return key.replace(/_/g, " ").replace(/^\w/, (c) => c.toUpperCase());
+}
+
+function renderValue(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (item && typeof item === "object" ? Object.values(item).filter(Boolean).join(", ") : item))
+      .join("; ");
+  }
+  return String(value);
+}
+
+function renderEntity(entity) {
+  const summary = summarize(entity);
+  const title = summary.name || summary.full_name || summary.entity_urn || "Unknown";
+  const lines = [`# ${title}`, ""];
+  for (const [key, value] of Object.entries(summary)) {
+    if (key === "name" || key === "full_name") continue;
+    lines.push(`- **${humanize(key)}:** ${renderValue(value)}`);
+  }
+  return lines.join("\n");
+}
+
+// The POST /companies lookup may wrap the company in a list page
+function firstEntity(data) {
+  const items = pageItems(data);
+  return items.length ? items[0] : data;
+}
+
+// Markdown rendering of a resolved resource, shown alongside the raw JSON
+function renderResource(type, data, id) {
+  if (type === "saved_search") {
+    if (!data) return `No saved search found for ${id}.`;
+    const items = pageItems(data);
+    const total = typeof data?.count === "number" ? ` of ${data.count}` : "";
+    return [
+      `# Saved search ${id}`,
+      "",
+      `Showing ${items.length}${total} results.`,
+      "",
+      items.length ? renderTable(items, { format: "markdown" }) : "No results.",
+    ].join("\n");
+  }
+
+  const entity = firstEntity(data);
+  if (!entity || typeof entity !== "object") return `No ${type.replace("_domain", "")} found for ${id}.`;
+  return renderEntity(entity);
+}
+
+module.exports = {
+  RESOURCE_TEMPLATES,
+  parseResourceUri,
+  savedSearchResource,
+  renderResource,
+  firstEntity,
+};
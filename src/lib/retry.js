@@ -0,0 +1,44 @@
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  // Give up instead of sleeping when the server asks us to wait longer than this
+  maxRetryAfterMs: 60000,
+};
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+// Exponential backoff with full jitter: a random delay between 0 and
+// baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+function computeBackoff(attempt, options = DEFAULT_RETRY_OPTIONS) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  isRetryableStatus,
+  parseRetryAfter,
+  computeBackoff,
+  sleep,
+};
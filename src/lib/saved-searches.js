@@ -0,0 +1,76 @@
+const { pageItems } = require("./pagination.js");
+const { withoutEmpty } = require("./projection.js");
+const { toCsv, toMarkdown } = require("./formatters.js");
+
+// Harmonic's saved search types: company searches and people searches
+const SAVED_SEARCH_TYPES = ["COMPANIES_LIST", "PERSONS"];
+
+function savedSearchSummary(search) {
+  return withoutEmpty({
+    id: search.id,
+    entity_urn: search.entity_urn,
+    name: search.name,
+    type: search.type,
+    is_private: search.is_private,
+    created_at: search.created_at,
+    updated_at: search.updated_at,
+  });
+}
+
+function savedSearchList(data) {
+  return pageItems(data).filter((search) => search && typeof search === "object");
+}
+
+// Find a saved search by ID, URN or name (case-insensitive). Throws when a name
+// matches more than one search so the caller can ask for the ID instead.
+function findSavedSearch(searches, reference) {
+  const wanted = String(reference).trim();
+  const byId = searches.find(
+    (search) => String(search.id) === wanted || search.entity_urn === wanted
+  );
+  if (byId) return byId;
+
+  const byName = searches.filter((search) => String(search.name || "").toLowerCase() === wanted.toLowerCase());
+  if (byName.length > 1) {
+    const ids = byName.map((search) => search.id ?? search.entity_urn).join(", ");
+    throw new Error(`${byName.length} saved searches are named "${wanted}" (IDs ${ids}); use the ID instead`);
+  }
+  return byName[0] || null;
+}
+
+// Check the parts of a saved search definition that Harmonic would otherwise
+// reject with an opaque 400
+function validateSavedSearch({ name, type, query }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) throw new Error("name must be a non-empty string");
+  }
+  if (!partial || type !== undefined) {
+    if (!SAVED_SEARCH_TYPES.includes(type)) throw new Error(`type must be one of ${SAVED_SEARCH_TYPES.join(", ")}`);
+  }
+  if (!partial || query !== undefined) {
+    if (!query || typeof query !== "object" || Array.isArray(query)) {
+      throw new Error("query must be an object, e.g. { \"filter_group\": { \"join_operator\": \"and\", \"filters\": [...] } }");
+    }
+  }
+}
+
+const SAVED_SEARCH_COLUMNS = [
+  ["Name", (search) => search.name],
+  ["Type", (search) => search.type],
+  ["Private", (search) => search.is_private],
+  ["Updated", (search) => search.updated_at],
+  ["ID", (search) => search.id ?? search.entity_urn],
+];
+
+function renderSavedSearches(searches, format = "markdown") {
+  return format === "csv" ? toCsv(searches, SAVED_SEARCH_COLUMNS) : toMarkdown(searches, SAVED_SEARCH_COLUMNS);
+}
+
+module.exports = {
+  SAVED_SEARCH_TYPES,
+  savedSearchSummary,
+  savedSearchList,
+  findSavedSearch,
+  validateSavedSearch,
+  renderSavedSearches,
+};
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const { ResponseCache } = require("./cache.js");
+
+// Everything that belongs to one MCP session: the authenticated client, the
+// active profile and the response cache. Sessions never share any of these, so
+// one caller's key or results can't leak to another. The rate-limit budget
+// belongs to the API key instead (see HarmonicMCPServer.schedulerFor).
+class HarmonicSession {
+  constructor({ id = crypto.randomUUID(), cache = {} } = {}) {
+    this.id = id;
+    this.client = null;
+    this.activeProfile = null;
+    this.cache = new ResponseCache(cache);
+    this.createdAt = Date.now();
+    this.lastActiveAt = this.createdAt;
+  }
+
+  touch() {
+    this.lastActiveAt = Date.now();
+  }
+
+  idleMs(now = Date.now()) {
+    return now - this.lastActiveAt;
+  }
+
+  // Drop the key and anything cached for it. A cache backed by a file (the
+  // stdio session's) is written out first so the next run can reuse it.
+  close() {
+    if (this.cache.options.file) this.cache.flush();
+    else this.cache.clear();
+    this.client = null;
+    this.activeProfile = null;
+  }
+}
+
+module.exports = { HarmonicSession };
@@ -0,0 +1,120 @@
+const { stageList } = require("./company-query.js");
+const { formatLocation } = require("./projection.js");
+const { toMarkdown } = require("./formatters.js");
+
+const DEFAULT_SIMILAR_SIZE = 10;
+const MAX_SIMILAR_SIZE = 50;
+// How many raw candidates to ask for per wanted result when filters will drop some
+const FILTER_OVERFETCH = 3;
+
+function tagNames(company) {
+  return [...(company.tags || []), ...(company.tags_v2 || [])]
+    .map((tag) => (typeof tag === "string" ? tag : tag?.display_value))
+    .filter(Boolean);
+}
+
+function companyStage(company) {
+  return company.stage || company.funding?.funding_stage || null;
+}
+
+function country(company) {
+  return company.location?.country || null;
+}
+
+function foundedYear(company) {
+  const year = parseInt(String(company.founding_date?.date || "").slice(0, 4), 10);
+  return Number.isNaN(year) ? null : year;
+}
+
+// Short explanations of what a peer has in common with the target. Harmonic
+// ranks the peers; these only say why the match is plausible.
+function peerReasons(target, peer) {
+  const reasons = [];
+
+  const targetTags = new Set(tagNames(target).map((tag) => tag.toLowerCase()));
+  const shared = tagNames(peer).filter((tag) => targetTags.has(tag.toLowerCase()));
+  if (shared.length) reasons.push(`Shared tags: ${[...new Set(shared)].slice(0, 4).join(", ")}`);
+
+  if (companyStage(target) && companyStage(target) === companyStage(peer)) {
+    reasons.push(`Same stage (${companyStage(peer)})`);
+  }
+
+  if (target.headcount > 0 && peer.headcount > 0) {
+    const ratio = peer.headcount / target.headcount;
+    if (ratio >= 0.5 && ratio <= 2) reasons.push(`Similar size (${peer.headcount} vs ${target.headcount} people)`);
+  }
+
+  if (target.location?.city && target.location.city === peer.location?.city) {
+    reasons.push(`Also based in ${peer.location.city}`);
+  } else if (country(target) && country(target) === country(peer)) {
+    reasons.push(`Also based in ${country(peer)}`);
+  }
+
+  const targetYear = foundedYear(target);
+  const peerYear = foundedYear(peer);
+  if (targetYear && peerYear && Math.abs(targetYear - peerYear) <= 2) {
+    reasons.push(`Founded around the same time (${peerYear})`);
+  }
+
+  return reasons.length ? reasons : ["Ranked similar by Harmonic on product and market"];
+}
+
+// Validate and normalise the optional stage / geography / headcount filters
+function parsePeerFilters({ stages, countries, headcount_min, headcount_max }) {
+  for (const [value, argName] of [[headcount_min, "headcount_min"], [headcount_max, "headcount_max"]]) {
+    if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+      throw new Error(`${argName} must be a non-negative number`);
+    }
+  }
+  if (headcount_min !== undefined && headcount_max !== undefined && headcount_min > headcount_max) {
+    throw new Error(`headcount_min (${headcount_min}) is greater than headcount_max (${headcount_max})`);
+  }
+  if (countries !== undefined && (!Array.isArray(countries) || countries.some((item) => typeof item !== "string"))) {
+    throw new Error("countries must be a list of strings");
+  }
+
+  const filters = {
+    stages: stageList(stages, "stages"),
+    countries: (countries || []).map((item) => item.trim().toLowerCase()).filter(Boolean),
+    headcountMin: headcount_min,
+    headcountMax: headcount_max,
+  };
+  filters.active = Boolean(
+    filters.stages.length || filters.countries.length || headcount_min !== undefined || headcount_max !== undefined
+  );
+  return filters;
+}
+
+// Companies with no data for a filtered field are left out: we can't vouch for them
+function matchesPeerFilters(company, filters) {
+  if (filters.stages.length && !filters.stages.includes(companyStage(company))) return false;
+  if (filters.countries.length && !filters.countries.includes(String(country(company) || "").toLowerCase())) return false;
+  if (filters.headcountMin !== undefined && !(company.headcount >= filters.headcountMin)) return false;
+  if (filters.headcountMax !== undefined && !(company.headcount <= filters.headcountMax)) return false;
+  return true;
+}
+
+const PEER_COLUMNS = [
+  ["Rank", (peer) => peer.rank],
+  ["Name", (peer) => peer.company.name],
+  ["Domain", (peer) => peer.company.website?.domain],
+  ["Stage", (peer) => companyStage(peer.company)],
+  ["Headcount", (peer) => peer.company.headcount],
+  ["Location", (peer) => formatLocation(peer.company.location)],
+  ["Why", (peer) => peer.reasons],
+  ["ID", (peer) => peer.company.id ?? peer.company.entity_urn],
+];
+
+function renderPeers(peers) {
+  return toMarkdown(peers, PEER_COLUMNS);
+}
+
+module.exports = {
+  DEFAULT_SIMILAR_SIZE,
+  MAX_SIMILAR_SIZE,
+  FILTER_OVERFETCH,
+  peerReasons,
+  parsePeerFilters,
+  matchesPeerFilters,
+  renderPeers,
+};
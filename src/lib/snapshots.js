@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+const { itemKey } = require("./pagination.js");
+const { entityType, formatLocation } = require("./projection.js");
+
+const DEFAULT_DIFF_MAX_RESULTS = 2000;
+
+// The fields a snapshot keeps per entity; only these are compared between runs
+function trackedFields(entity) {
+  if (entity === null || typeof entity !== "object") return { value: entity };
+  if (entityType(entity) === "person") {
+    const current = (entity.experience || []).find((position) => position.is_current_position) || {};
+    return {
+      name: entity.full_name ?? null,
+      title: current.title ?? null,
+      company: current.company_name ?? null,
+      location: formatLocation(entity.location),
+    };
+  }
+  const funding = entity.funding || {};
+  return {
+    name: entity.name ?? null,
+    domain: entity.website?.domain ?? null,
+    stage: entity.stage || funding.funding_stage || null,
+    headcount: entity.headcount ?? null,
+    funding_total: funding.funding_total ?? null,
+    last_funding_type: funding.last_funding_type ?? null,
+    last_funding_at: funding.last_funding_at ?? null,
+  };
+}
+
+function takeSnapshot(searchId, items, { complete }) {
+  return {
+    search_id: String(searchId),
+    taken_at: new Date().toISOString(),
+    complete,
+    entities: Object.fromEntries(items.map((item) => [itemKey(item), trackedFields(item)])),
+  };
+}
+
+// Compare two snapshots. Removals are only reported when both runs saw the
+// whole search, and additions only when the previous run did; otherwise an
+// entity past either cap would look removed or added.
+function diffSnapshots(previous, current) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const additionsReliable = Boolean(previous.complete);
+
+  for (const [key, fields] of Object.entries(current.entities)) {
+    const before = previous.entities[key];
+    if (!before) {
+      if (additionsReliable) added.push({ key, ...fields });
+      continue;
+    }
+    const changes = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (field in before && JSON.stringify(before[field]) !== JSON.stringify(value)) {
+        changes[field] = { from: before[field], to: value };
+      }
+    }
+    if (Object.keys(changes).length) changed.push({ key, name: fields.name, changes });
+  }
+
+  const removalsReliable = Boolean(previous.complete && current.complete);
+  if (removalsReliable) {
+    for (const [key, fields] of Object.entries(previous.entities)) {
+      if (!current.entities[key]) removed.push({ key, ...fields });
+    }
+  }
+
+  return { added, removed, changed, additions_reliable: additionsReliable, removals_reliable: removalsReliable };
+}
+
+// Snapshots live in one JSON file per profile (or API key fingerprint), so
+// switching profile never compares one workspace's results against another's
+class SnapshotStore {
+  constructor(directory, owner) {
+    const safeOwner = String(owner).replace(/[^a-zA-Z0-9_-]/g, "_");
+    this.file = path.join(directory, "snapshots", `${safeOwner}.json`);
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`[DEBUG] Ignoring unreadable snapshot file ${this.file}: ${error.message}`);
+      }
+      return { searches: {} };
+    }
+  }
+
+  write(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+
+  get(searchId) {
+    return this.read().searches[String(searchId)] || null;
+  }
+
+  save(snapshot) {
+    const state = this.read();
+    state.searches[snapshot.search_id] = snapshot;
+    this.write(state);
+  }
+
+  // Forget one search's snapshot, or every snapshot for this profile.
+  // Returns how many were removed.
+  reset(searchId = null) {
+    const state = this.read();
+    const ids = searchId === null ? Object.keys(state.searches) : [String(searchId)].filter((id) => id in state.searches);
+    for (const id of ids) delete state.searches[id];
+    if (ids.length) this.write(state);
+    return ids.length;
+  }
+}
+
+module.exports = {
+  DEFAULT_DIFF_MAX_RESULTS,
+  takeSnapshot,
+  diffSnapshots,
+  SnapshotStore,
+};
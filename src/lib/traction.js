@@ -0,0 +1,197 @@
+const { formatPercent, toMarkdown } = require("./formatters.js");
+
+const GROWTH_WINDOWS = [30, 90, 180, 365];
+const DEFAULT_SERIES_MONTHS = 24;
+const MAX_SERIES_MONTHS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A series point stands in for a date up to this far away; Harmonic samples
+// roughly monthly, so a tighter window leaves gaps
+const POINT_TOLERANCE_DAYS = 31;
+// 90-day acceleration beyond this many percentage points counts as a change
+const TREND_THRESHOLD = 1;
+
+const MISSING = "n/a";
+const APPROXIMATE_NOTE = "~ marks growth estimated from the monthly series, over a window up to a month longer than stated.";
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Harmonic's metric series: { metrics: [{ timestamp, metric_value }], ago_30d: { percent_change }, ... }
+function seriesPoints(metric) {
+  return (metric?.metrics || [])
+    .map((point) => ({ time: Date.parse(point.timestamp || point.date || ""), value: point.metric_value ?? point.value }))
+    .filter((point) => !Number.isNaN(point.time) && typeof point.value === "number")
+    .sort((a, b) => a.time - b.time);
+}
+
+// The value of the point nearest `time`, ignoring points at or after `before`
+// so a growth rate never compares a point with itself
+function valueAt(points, time, before) {
+  let best = null;
+  for (const point of points) {
+    if (point.time >= before) continue;
+    const distance = Math.abs(point.time - time);
+    if (distance <= POINT_TOLERANCE_DAYS * DAY_MS && (!best || distance < Math.abs(best.time - time))) best = point;
+  }
+  return best ? best.value : null;
+}
+
+function percentBetween(from, to) {
+  return typeof from === "number" && typeof to === "number" && from > 0 ? round(((to - from) / from) * 100) : null;
+}
+
+// The last point at or before `time`, if it is within tolerance of it, so a
+// window that starts there is never shorter than asked for
+function pointCovering(points, time) {
+  let best = null;
+  for (const point of points) {
+    if (point.time <= time) best = point;
+  }
+  return best && time - best.time <= POINT_TOLERANCE_DAYS * DAY_MS ? best : null;
+}
+
+// Growth over `days` as { value, approximate }, in percent rounded to one
+// decimal. Harmonic's precomputed ago_Nd figure when it has one; otherwise
+// measured back from the latest point of the series, but only when the series
+// covers the whole window. Series figures are approximate because the start
+// point can fall up to POINT_TOLERANCE_DAYS before the window does.
+function metricGrowth(metric, days) {
+  const precomputed = metric?.[`ago_${days}d`]?.percent_change;
+  if (typeof precomputed === "number") return { value: round(precomputed), approximate: false };
+
+  const points = seriesPoints(metric);
+  if (points.length < 2) return null;
+  const latest = points[points.length - 1];
+  const start = pointCovering(points, latest.time - days * DAY_MS);
+  const value = start ? percentBetween(start.value, latest.value) : null;
+  return value === null ? null : { value, approximate: true };
+}
+
+// Growth over the last `days` minus growth over the `days` before that, in
+// percentage points. Positive means growth is speeding up.
+function metricAcceleration(points, days) {
+  if (points.length < 3) return null;
+  const end = points[points.length - 1].time;
+  const middle = valueAt(points, end - days * DAY_MS, end);
+  const recent = percentBetween(middle, points[points.length - 1].value);
+  const prior = percentBetween(valueAt(points, end - 2 * days * DAY_MS, end - days * DAY_MS), middle);
+  return recent !== null && prior !== null ? round(recent - prior) : null;
+}
+
+// One point per month (the last one seen), oldest first, as [YYYY-MM, value]
+function monthlySeries(points, months) {
+  const byMonth = new Map();
+  for (const point of points) byMonth.set(new Date(point.time).toISOString().slice(0, 7), point.value);
+  return [...byMonth.entries()].slice(-months);
+}
+
+function trend(acceleration) {
+  if (acceleration === null) return null;
+  if (acceleration > TREND_THRESHOLD) return "accelerating";
+  if (acceleration < -TREND_THRESHOLD) return "decelerating";
+  return "steady";
+}
+
+function analyzeMetric(metric, months) {
+  const points = seriesPoints(metric);
+  const latest = points.length ? points[points.length - 1] : null;
+  const latestValue = latest ? latest.value : metric?.latest_metric_value ?? null;
+  const figures = GROWTH_WINDOWS.map((days) => [`${days}d`, metricGrowth(metric, days)]);
+  const growth = Object.fromEntries(figures.map(([window, figure]) => [window, figure ? figure.value : null]));
+  if (latestValue === null && Object.values(growth).every((value) => value === null)) return null;
+
+  const acceleration = Object.fromEntries(GROWTH_WINDOWS.map((days) => [`${days}d`, metricAcceleration(points, days)]));
+  return {
+    latest: latestValue,
+    as_of: latest ? new Date(latest.time).toISOString().slice(0, 10) : null,
+    growth,
+    // Windows whose growth was estimated from the series rather than taken from Harmonic
+    approximate_growth: figures.filter(([, figure]) => figure?.approximate).map(([window]) => window),
+    acceleration,
+    trend: trend(acceleration["90d"]),
+    series: monthlySeries(points, months),
+  };
+}
+
+// Headcount, web traffic and any per-department headcount series
+// (traction_metrics.headcount_engineering, headcount_sales, ...) the company has
+function analyzeTraction(company, { months = DEFAULT_SERIES_MONTHS, departments = true } = {}) {
+  const traction = company.traction_metrics || {};
+  const result = {
+    headcount: analyzeMetric(traction.headcount, months),
+    web_traffic: analyzeMetric(traction.web_traffic, months),
+  };
+  if (departments) {
+    result.departments = {};
+    for (const key of Object.keys(traction).sort()) {
+      const department = /^headcount_(.+)$/.exec(key)?.[1];
+      if (!department) continue;
+      const analysis = analyzeMetric(traction[key], months);
+      if (analysis) result.departments[department] = analysis;
+    }
+  }
+  return result;
+}
+
+function metricRows(analysis) {
+  const rows = [
+    ["Headcount", analysis.headcount],
+    ["Web traffic", analysis.web_traffic],
+    ...Object.entries(analysis.departments || {}).map(([department, metric]) => [
+      `Headcount: ${department.replace(/_/g, " ")}`,
+      metric,
+    ]),
+  ];
+  return rows.filter(([, metric]) => metric);
+}
+
+const cell = (value, format = String) => (value === null || value === undefined ? MISSING : format(value));
+
+const GROWTH_COLUMNS = [
+  ["Metric", ([label]) => label],
+  ["Latest", ([, metric]) => cell(metric.latest)],
+  ...GROWTH_WINDOWS.map((days) => [
+    `${days}d`,
+    ([, metric]) => cell(metric.growth[`${days}d`], (value) =>
+      `${metric.approximate_growth.includes(`${days}d`) ? "~" : ""}${formatPercent(value)}`
+    ),
+  ]),
+  ["90d acceleration", ([, metric]) => cell(metric.acceleration["90d"], (value) => `${value > 0 ? "+" : ""}${value} pts`)],
+  ["Trend", ([, metric]) => cell(metric.trend)],
+];
+
+// A growth table for every metric, then the monthly headcount and web
+// traffic series side by side
+function renderTraction(analysis) {
+  const rows = metricRows(analysis);
+  const sections = [toMarkdown(rows, GROWTH_COLUMNS)];
+  if (rows.some(([, metric]) => metric.approximate_growth.length)) sections.push(APPROXIMATE_NOTE);
+
+  const months = [...new Set([
+    ...(analysis.headcount?.series || []).map(([month]) => month),
+    ...(analysis.web_traffic?.series || []).map(([month]) => month),
+  ])].sort();
+  if (months.length) {
+    const lookup = (metric) => new Map(metric?.series || []);
+    const headcount = lookup(analysis.headcount);
+    const traffic = lookup(analysis.web_traffic);
+    sections.push(toMarkdown(months, [
+      ["Month", (month) => month],
+      ["Headcount", (month) => cell(headcount.get(month))],
+      ["Web traffic", (month) => cell(traffic.get(month))],
+    ]));
+  }
+
+  return sections.join("\n\n");
+}
+
+module.exports = {
+  APPROXIMATE_NOTE,
+  GROWTH_WINDOWS,
+  DEFAULT_SERIES_MONTHS,
+  MAX_SERIES_MONTHS,
+  metricGrowth,
+  analyzeTraction,
+  renderTraction,
+};
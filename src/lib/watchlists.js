@@ -0,0 +1,55 @@
+const { pageItems } = require("./pagination.js");
+const { withoutEmpty } = require("./projection.js");
+const { toCsv, toMarkdown } = require("./formatters.js");
+
+// Harmonic keeps company and people watchlists (lists in the UI) apart, each
+// with its own endpoints and URN scheme
+const WATCHLIST_TYPES = {
+  companies: { add: "addCompanies", remove: "removeCompanies", urnPrefix: "urn:harmonic:company:" },
+  people: { add: "addPeople", remove: "removePeople", urnPrefix: "urn:harmonic:person:" },
+};
+
+function watchlistSummary(watchlist, type) {
+  return withoutEmpty({
+    id: watchlist.id,
+    entity_urn: watchlist.entity_urn,
+    name: watchlist.name,
+    type,
+    shared: watchlist.shared_with_team ?? watchlist.is_shared,
+    entries: watchlist.count ?? watchlist.entry_count,
+    updated_at: watchlist.updated_at,
+  });
+}
+
+function watchlistList(data, type) {
+  return pageItems(data)
+    .filter((watchlist) => watchlist && typeof watchlist === "object")
+    .map((watchlist) => watchlistSummary(watchlist, type));
+}
+
+// A Harmonic ID or URN of the watchlist's entity type, as a URN; null otherwise
+function entityUrn(input, type) {
+  const { urnPrefix } = WATCHLIST_TYPES[type];
+  const text = String(input ?? "").trim();
+  if (/^\d+$/.test(text)) return `${urnPrefix}${text}`;
+  return text.toLowerCase().startsWith(urnPrefix) && /\d+$/.test(text) ? text.toLowerCase() : null;
+}
+
+const WATCHLIST_COLUMNS = [
+  ["Name", (watchlist) => watchlist.name],
+  ["Type", (watchlist) => watchlist.type],
+  ["Entries", (watchlist) => watchlist.entries],
+  ["Updated", (watchlist) => watchlist.updated_at],
+  ["ID", (watchlist) => watchlist.id ?? watchlist.entity_urn],
+];
+
+function renderWatchlists(watchlists, format = "markdown") {
+  return format === "csv" ? toCsv(watchlists, WATCHLIST_COLUMNS) : toMarkdown(watchlists, WATCHLIST_COLUMNS);
+}
+
+module.exports = {
+  WATCHLIST_TYPES,
+  watchlistList,
+  entityUrn,
+  renderWatchlists,
+};
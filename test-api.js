@@ -2,6 +2,7 @@
 
 // Test script to verify Harmonic API key and endpoints
 const API_KEY = process.argv[2];
+const API_BASE = (process.env.HARMONIC_API_BASE || 'https://api.harmonic.ai').replace(/\/+$/, '');
 
 if (!API_KEY) {
   console.log('Usage: node test-api.js YOUR_API_KEY');
@@ -9,12 +10,12 @@ if (!API_KEY) {
 }
 
 async function testAPI() {
-  console.log('Testing Harmonic API...\n');
+  console.log(`Testing Harmonic API at ${API_BASE}...\n`);
   
   // Test 1: Search companies
   console.log('1. Testing company search...');
   try {
-    const response = await fetch('https://api.harmonic.ai/companies?q=google&limit=1', {
+    const response = await fetch(`${API_BASE}/companies?q=google&limit=1`, {
       headers: {
         'Authorization': `Bearer ${API_KEY}`,
         'Content-Type': 'application/json'
@@ -46,7 +47,7 @@ async function testAPI() {
   for (const authHeader of authFormats) {
     console.log(`   Trying: ${authHeader.substring(0, 20)}...`);
     try {
-      const response = await fetch('https://api.harmonic.ai/companies?q=test&limit=1', {
+      const response = await fetch(`${API_BASE}/companies?q=test&limit=1`, {
         headers: {
           'Authorization': authHeader,
           'Content-Type': 'application/json'
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { requireLib } = require("./helpers.cjs");
+
+test("every endpoint the client calls falls in a group harmonic_cache_clear accepts", () => {
+  const { ENDPOINT_GROUPS, endpointGroup } = requireLib("cache.js");
+  const endpoints = [
+    "/companies",
+    "/companies/1001",
+    "/companies/1001/employees",
+    "/people",
+    "/people/2001",
+    "/persons",
+    "/search/companies",
+    "/search/similar_companies/1001",
+    "/saved_searches",
+    "/saved_searches/3001",
+    "/saved_searches:results/3001",
+    "/watchlists/companies",
+    "/watchlists/people/4001/entries",
+  ];
+  for (const endpoint of endpoints) {
+    assert.ok(ENDPOINT_GROUPS.includes(endpointGroup(endpoint)), `${endpoint} -> ${endpointGroup(endpoint)}`);
+  }
+});
+
+// Run `fn` with Date.now() fixed at `time`
+function at(time, fn) {
+  const realNow = Date.now;
+  Date.now = () => time;
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test("cache entries expire after their endpoint group's TTL", () => {
+  const { ResponseCache } = requireLib("cache.js");
+  const cache = new ResponseCache({ ttlSeconds: { saved_searches: 60 } });
+  const start = Date.now();
+  at(start, () => {
+    cache.set("search", "/saved_searches:results/1", { results: [] });
+    cache.set("company", "/companies/1", { id: 1 });
+  });
+  at(start + 59 * 1000, () => assert.deepEqual(cache.get("search"), { results: [] }));
+  at(start + 61 * 1000, () => {
+    assert.equal(cache.get("search"), undefined);
+    // companies keep the 24 hour default
+    assert.deepEqual(cache.get("company"), { id: 1 });
+  });
+});
+
+test("the least recently used entry is evicted at maxEntries", () => {
+  const { ResponseCache } = requireLib("cache.js");
+  const cache = new ResponseCache({ maxEntries: 2 });
+  cache.set("a", "/companies/1", 1);
+  cache.set("b", "/companies/2", 2);
+  cache.get("a");
+  cache.set("c", "/companies/3", 3);
+  assert.equal(cache.get("b"), undefined);
+  assert.equal(cache.get("a"), 1);
+  assert.equal(cache.get("c"), 3);
+  assert.equal(cache.stats().evictions, 1);
+});
+
+test("cache keys are scoped to the API key and ignore parameter order", () => {
+  const { cacheKey } = requireLib("cache.js");
+  assert.equal(cacheKey("key-a", "GET", "/companies", { q: "acme", size: 50 }), cacheKey("key-a", "GET", "/companies", { size: 50, q: "acme" }));
+  assert.notEqual(cacheKey("key-a", "GET", "/companies", { q: "acme" }), cacheKey("key-b", "GET", "/companies", { q: "acme" }));
+  assert.doesNotMatch(cacheKey("key-a", "GET", "/companies"), /key-a/);
+});
+
+test("a file-backed cache survives a restart and drops expired entries", () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const { ResponseCache } = requireLib("cache.js");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "harmonic-mcp-cache-"));
+  const file = path.join(dir, "cache.json");
+  try {
+    const first = new ResponseCache({ file, ttlSeconds: { saved_searches: 60 } });
+    const start = Date.now();
+    at(start, () => {
+      first.set("company", "/companies/1", { id: 1 });
+      first.set("search", "/saved_searches:results/1", { results: [] });
+    });
+    first.flush();
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+    const second = at(start + 120 * 1000, () => new ResponseCache({ file }));
+    assert.deepEqual(second.get("company"), { id: 1 });
+    assert.equal(second.get("search"), undefined);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
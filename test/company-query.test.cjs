@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { requireLib } = require("./helpers.cjs");
+
+const { buildCompanyQuery } = requireLib("company-query.js");
+
+test("buildCompanyQuery translates filters and sorting", () => {
+  assert.deepEqual(
+    buildCompanyQuery({
+      headcount_min: 10,
+      headcount_max: 50,
+      stages: ["series a"],
+      founded_after: "2020",
+      founded_before: "2021-02",
+      sort_by: "headcount",
+      sort_order: "asc",
+    }),
+    {
+      filter_group: {
+        join_operator: "and",
+        filters: [
+          { field: "company_headcount", comparator: "inRange", filter_value: [10, 50] },
+          { field: "company_stage", comparator: "anyOf", filter_value: ["SERIES_A"] },
+          { field: "company_founding_date", comparator: "inRange", filter_value: ["2020-01-01", "2021-02-28"] },
+        ],
+      },
+      sort: [{ field: "company_headcount", descending: false }],
+    }
+  );
+});
+
+test("buildCompanyQuery rejects invalid combinations with a clear message", () => {
+  const cases = [
+    [{}, /Give at least one filter/],
+    [{ headcount_min: 100, headcount_max: 10 }, /headcount_min \(100\) is greater than headcount_max \(10\)/],
+    [{ funding_total_min: -1 }, /funding_total_min must be a non-negative number/],
+    [{ headcount_max: "50" }, /headcount_max must be a non-negative number/],
+    [{ stages: ["SEED", "SERIES_A"], exclude_stages: ["series a"] }, /SERIES_A is in both stages and exclude_stages/],
+    [{ stages: ["SERIES_Z"] }, /Unknown stages: SERIES_Z/],
+    [{ countries: ["Germany", ""] }, /countries must be a list of non-empty strings/],
+    [{ founded_after: "2020-13" }, /founded_after is not a valid date/],
+    [{ founded_before: "2023-02-30" }, /founded_before is not a valid date/],
+    [{ founded_after: "last year" }, /founded_after must be a date as YYYY, YYYY-MM or YYYY-MM-DD/],
+    [{ founded_after: "2022", founded_before: "2021" }, /founded_after \(2022\) is later than founded_before \(2021\)/],
+    [{ tag_match: "all" }, /tag_match needs industry_tags/],
+    [{ industry_tags: ["AI"], tag_match: "most" }, /tag_match must be "any" or "all"/],
+    [{ headcount_min: 10, sort_order: "asc" }, /sort_order needs sort_by/],
+    [{ headcount_min: 10, sort_by: "revenue" }, /sort_by must be one of/],
+    [{ headcount_min: 10, sort_by: "headcount", sort_order: "up" }, /sort_order must be "asc" or "desc"/],
+  ];
+  for (const [args, message] of cases) {
+    assert.throws(() => buildCompanyQuery(args), message, JSON.stringify(args));
+  }
+});
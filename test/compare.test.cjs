@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { requireLib, startMock, startClient } = require("./helpers.cjs");
+
+const acme = require(path.join(__dirname, "..", "mock", "fixtures", "companies-1001.json")).response.body;
+
+test("harmonic_compare_companies reports Harmonic's own growth figures", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  try {
+    const text = await session.call("harmonic_compare_companies", {
+      companies: ["1001", "acme.example", "unknown.example"],
+    });
+    const table = text.split("\n");
+    assert.ok(table.includes("| Headcount growth (90d) | +18.3% | +18.3% | not found |"), text);
+    assert.ok(table.includes("| Headcount growth (1y) | +61.5% | +61.5% | not found |"), text);
+    assert.doesNotMatch(text, /~/);
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
+
+test("growth from the series alone is marked approximate and needs the whole window", () => {
+  const { compareMetrics } = requireLib("compare.js");
+  const { metrics } = acme.traction_metrics.headcount;
+  const { metrics: compared, approximate } = compareMetrics({ ...acme, traction_metrics: { headcount: { metrics } } });
+  // 2024-09 (71) to 2024-12 (84); the series starts 2024-01, too late for a full year
+  assert.equal(compared.headcount_growth_90d, 18.3);
+  assert.equal(compared.headcount_growth_365d, null);
+  assert.deepEqual(approximate, ["headcount_growth_90d"]);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { requireLib, startMock, startClient } = require("./helpers.cjs");
+
+test("exportColumns falls back to a URN column for bare URNs", () => {
+  const { exportColumns } = requireLib("export.js");
+  const columns = exportColumns(["urn:harmonic:person:1"], null, { person: { Name: "full_name" } });
+  assert.deepEqual(columns.map(([header]) => header), ["URN"]);
+});
+
+test("resolveExportPath keeps exports inside the export directory", () => {
+  const { resolveExportPath } = requireLib("export.js");
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), "harmonic-export-"));
+  try {
+    const directory = path.join(base, "exports");
+    assert.equal(resolveExportPath(directory, "companies", "csv"), path.join(fs.realpathSync(base), "exports", "companies.csv"));
+
+    for (const filename of ["../escape", "../../etc/passwd", "nested/file", "..", ".hidden", path.join(base, "absolute")]) {
+      assert.throws(() => resolveExportPath(directory, filename, "csv"), /Invalid export filename/, filename);
+    }
+    assert.equal(fs.existsSync(path.join(base, "escape.csv")), false);
+
+    // A symlink planted in the export directory must not be followed
+    const outside = path.join(base, "outside.csv");
+    fs.writeFileSync(outside, "keep me");
+    fs.symlinkSync(outside, path.join(directory, "linked.csv"));
+    assert.throws(() => resolveExportPath(directory, "linked", "csv", { overwrite: true }), /Refusing to write through symbolic link/);
+    assert.equal(fs.readFileSync(outside, "utf8"), "keep me");
+
+    fs.writeFileSync(path.join(directory, "existing.csv"), "");
+    assert.throws(() => resolveExportPath(directory, "existing", "csv"), /already exists/);
+    assert.equal(resolveExportPath(directory, "existing.csv", "csv", { overwrite: true }), path.join(fs.realpathSync(directory), "existing.csv"));
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test("resolveExportPath resolves a symlinked export directory before checking confinement", () => {
+  const { resolveExportPath } = requireLib("export.js");
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), "harmonic-export-"));
+  try {
+    const real = path.join(base, "real");
+    fs.mkdirSync(real);
+    fs.symlinkSync(real, path.join(base, "link"));
+    assert.equal(resolveExportPath(path.join(base, "link"), "people", "json"), path.join(fs.realpathSync(real), "people.json"));
+    assert.throws(() => resolveExportPath(path.join(base, "link"), "../real/people", "json"), /Invalid export filename/);
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test("harmonic_export resolves company_employees URNs to people", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  try {
+    const exportDir = path.join(session.home, ".harmonic-mcp", "exports");
+    const summary = JSON.parse(await session.call("harmonic_export", {
+      source: "company_employees",
+      company_id: "1001",
+      filename: "employees",
+    }));
+    assert.equal(summary.rows, 2);
+    const csv = fs.readFileSync(path.join(exportDir, "employees.csv"), "utf8");
+    assert.match(csv, /^Name,Title,Company/);
+    assert.match(csv, /Dana Example,Co-founder & CEO,Acme Robotics/);
+    assert.match(csv, /Sam Sample,VP Engineering,Acme Robotics/);
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
+
+test("harmonic_export reads pages from the cache unless bypass_cache is set", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  let fetches = 0;
+  mock.server.on("request", (req) => {
+    if (req.url.startsWith("/saved_searches:results/3001")) fetches++;
+  });
+  try {
+    const exportSearch = (filename, extra = {}) =>
+      session.call("harmonic_export", { source: "saved_search", search_id: "3001", filename, ...extra });
+    await exportSearch("first");
+    await exportSearch("cached");
+    assert.equal(fetches, 1);
+    await exportSearch("fresh", { bypass_cache: true });
+    assert.equal(fetches, 2);
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
@@ -0,0 +1,62 @@
+// Shared setup for the tests: the local mock API in replay mode and an MCP
+// client talking to the built server over stdio. The server and its lib are
+// loaded from dist/test-server, which build-test.js lays out (`npm test` runs
+// it first).
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+const { StdioClientTransport } = require("@modelcontextprotocol/sdk/client/stdio.js");
+const { startMockServer } = require("../mock/server.cjs");
+
+const SERVER_DIR = path.join(__dirname, "..", "dist", "test-server");
+const SERVER_ENTRY = path.join(SERVER_DIR, "index.js");
+
+function requireLib(name) {
+  return require(path.join(SERVER_DIR, "lib", name));
+}
+
+function startMock(options = {}) {
+  const server = startMockServer({ port: 0, quiet: true, ...options });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.once("listening", () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// A server pointed at the mock, with HOME in a temporary directory so no
+// config file, cache or snapshot from the machine leaks in. The server's
+// stderr is collected and available from log().
+async function startClient(apiBase, args = []) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "harmonic-mcp-test-"));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_ENTRY, "--api-base", apiBase, "--max-attempts", "1", ...args],
+    env: { PATH: process.env.PATH, HOME: home, HARMONIC_API_KEY: "test-key" },
+    stderr: "pipe",
+  });
+  let log = "";
+  transport.stderr.on("data", (chunk) => {
+    log += chunk;
+  });
+  const client = new Client({ name: "harmonic-mcp-test", version: "1.0.0" });
+  await client.connect(transport);
+  return {
+    client,
+    home,
+    async call(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      return result.content.map((item) => item.text).join("\n");
+    },
+    log() {
+      return log;
+    },
+    async close() {
+      await client.close();
+      fs.rmSync(home, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { SERVER_ENTRY, requireLib, startMock, startClient };
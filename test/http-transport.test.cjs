@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Server } = require("@modelcontextprotocol/sdk/server/index.js");
+const { requireLib } = require("./helpers.cjs");
+
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } },
+};
+
+function post(url, token, body, sessionId) {
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      authorization: `Bearer ${token}`,
+      "content-type": "application/json",
+      accept: "application/json, text/event-stream",
+      ...(sessionId && { "mcp-session-id": sessionId }),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+test("an HTTP session rejects requests made with another client's token", async () => {
+  const { startHttpServer } = requireLib("http-transport.js");
+  const httpServer = await startHttpServer({
+    port: 0,
+    host: "127.0.0.1",
+    authTokens: ["token-a", "token-b"],
+    createServer: () => new Server({ name: "test", version: "1.0.0" }, { capabilities: {} }),
+  });
+  const url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+  try {
+    const opened = await post(url, "token-a", INITIALIZE);
+    assert.equal(opened.status, 200);
+    const sessionId = opened.headers.get("mcp-session-id");
+    await opened.text();
+
+    const ping = { jsonrpc: "2.0", id: 2, method: "ping" };
+    const stolen = await post(url, "token-b", ping, sessionId);
+    assert.equal(stolen.status, 404);
+    await stolen.text();
+
+    const own = await post(url, "token-a", ping, sessionId);
+    assert.equal(own.status, 200);
+    await own.text();
+  } finally {
+    httpServer.closeAllConnections();
+    httpServer.close();
+  }
+});
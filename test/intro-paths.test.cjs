@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock, startClient } = require("./helpers.cjs");
+
+test("harmonic_find_intro_paths clamps max_employees to a whole number of at least 1", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  const sizes = [];
+  mock.server.on("request", (req) => {
+    const url = new URL(req.url, "http://mock");
+    if (url.pathname.endsWith("/employees")) sizes.push(url.searchParams.get("size"));
+  });
+  try {
+    for (const [max_employees, checked] of [[-5, 1], [1.5, 1], [0, 2]]) {
+      const result = JSON.parse(await session.call("harmonic_find_intro_paths", {
+        company: "1001",
+        team_members: ["2002"],
+        max_employees,
+        bypass_cache: true,
+      }));
+      assert.equal(result.employees_checked, checked, `max_employees: ${max_employees}`);
+    }
+    assert.ok(sizes.every((size) => /^\d+$/.test(size)), sizes.join(", "));
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock, startClient } = require("./helpers.cjs");
+
+test("the request debug log never shows the API key", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  try {
+    await session.call("harmonic_search_companies", { query: "acme" });
+    assert.match(session.log(), /Making GET request to: .*\/companies\?.*apikey=REDACTED/);
+    assert.doesNotMatch(session.log(), /apikey=test-key/);
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
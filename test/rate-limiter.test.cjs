@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { requireLib, startMock, startClient } = require("./helpers.cjs");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("the scheduler starts tasks in the order they were queued", async () => {
+  const { RequestScheduler } = requireLib("rate-limiter.js");
+  const scheduler = new RequestScheduler({ requestsPerSecond: 0, maxConcurrent: 1 });
+  const started = [];
+  await Promise.all([1, 2, 3, 4, 5].map((n) => scheduler.schedule(async () => {
+    started.push(n);
+    await sleep(n % 2 ? 5 : 1);
+  })));
+  assert.deepEqual(started, [1, 2, 3, 4, 5]);
+});
+
+test("the scheduler never runs more than maxConcurrent tasks at once", async () => {
+  const { RequestScheduler } = requireLib("rate-limiter.js");
+  const scheduler = new RequestScheduler({ requestsPerSecond: 0, maxConcurrent: 2 });
+  let running = 0;
+  let peak = 0;
+  await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule(async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(10);
+    running--;
+  })));
+  assert.equal(peak, 2);
+  assert.equal(scheduler.stats().started, 6);
+});
+
+test("the scheduler spaces starts 1/requestsPerSecond apart", async () => {
+  const { RequestScheduler } = requireLib("rate-limiter.js");
+  const scheduler = new RequestScheduler({ requestsPerSecond: 20, maxConcurrent: 0 });
+  const starts = [];
+  const scheduledAt = Date.now();
+  await Promise.all(Array.from({ length: 4 }, () => scheduler.schedule(async () => starts.push(Date.now()))));
+  // 50ms apart. Starts are timed inside the tasks, so one late start shortens
+  // the next gap by a few milliseconds, but the last can't begin before three
+  // full intervals have passed (timers may fire a millisecond early).
+  for (let i = 1; i < starts.length; i++) {
+    assert.ok(starts[i] - starts[i - 1] >= 40, `gap ${i}: ${starts[i] - starts[i - 1]}ms`);
+  }
+  assert.ok(starts[3] - scheduledAt >= 148, `span: ${starts[3] - scheduledAt}ms`);
+});
+
+test("a failing task rejects its own promise and doesn't stall the queue", async () => {
+  const { RequestScheduler } = requireLib("rate-limiter.js");
+  const scheduler = new RequestScheduler({ requestsPerSecond: 0, maxConcurrent: 1 });
+  const failed = scheduler.schedule(async () => {
+    throw new Error("boom");
+  });
+  const next = scheduler.schedule(async () => "ok");
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, "ok");
+});
+
+test("harmonic_cache_stats reports the request scheduler", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  try {
+    await session.call("harmonic_get_company", { identifier: "1001" });
+    const stats = JSON.parse(await session.call("harmonic_cache_stats"));
+    assert.equal(stats.scheduler.started, 1);
+    assert.equal(stats.scheduler.queued, 0);
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
+
+test("a key's scheduler is dropped once no session uses the key", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  try {
+    await session.call("harmonic_get_company", { identifier: "1001" });
+    await session.call("harmonic_set_api_key", { api_key: "other-key" });
+    await session.call("harmonic_set_api_key", { api_key: "test-key" });
+    await session.call("harmonic_get_company", { identifier: "1002" });
+    const stats = JSON.parse(await session.call("harmonic_cache_stats"));
+    // A fresh scheduler: the first lookup went through the dropped one
+    assert.equal(stats.scheduler.started, 1);
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
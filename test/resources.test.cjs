@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock, startClient } = require("./helpers.cjs");
+
+test("reading a company resource that Harmonic doesn't have returns a not-found result", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  try {
+    const result = await session.client.readResource({ uri: "harmonic://company/domain/unknown.example" });
+    assert.equal(result.contents[0].text, "No company found for unknown.example.");
+    assert.equal(result.contents[1].text, "null");
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
+
+test("saved searches are listed as concrete resources", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  try {
+    const { resources } = await session.client.listResources();
+    assert.deepEqual(
+      resources.map(({ uri, name }) => ({ uri, name })),
+      [
+        { uri: "harmonic://saved-search/3001", name: "Robotics Series A" },
+        { uri: "harmonic://saved-search/3002", name: "Robotics founders" },
+      ]
+    );
+    const result = await session.client.readResource({ uri: resources[0].uri });
+    assert.equal(result.contents[0].mimeType, "text/markdown");
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});
+
+test("listing resources returns nothing when Harmonic is unreachable", async () => {
+  const mock = await startMock();
+  await new Promise((resolve) => mock.server.close(resolve));
+  const session = await startClient(mock.url);
+  try {
+    const { resources } = await session.client.listResources();
+    assert.deepEqual(resources, []);
+  } finally {
+    await session.close();
+  }
+});
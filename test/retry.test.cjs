@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { requireLib, startClient } = require("./helpers.cjs");
+
+const COMPANY = { id: 1, entity_urn: "urn:harmonic:company:1", name: "Retry Co" };
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  const { parseRetryAfter } = requireLib("retry.js");
+  const now = Date.parse("2024-06-01T12:00:00Z");
+  assert.equal(parseRetryAfter("3", now), 3000);
+  assert.equal(parseRetryAfter("0", now), 0);
+  assert.equal(parseRetryAfter("Sat, 01 Jun 2024 12:00:05 GMT", now), 5000);
+  assert.equal(parseRetryAfter("Sat, 01 Jun 2024 11:59:00 GMT", now), 0);
+  assert.equal(parseRetryAfter("soon", now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test("computeBackoff stays between 0 and the capped exponential ceiling", () => {
+  const { computeBackoff } = requireLib("retry.js");
+  const options = { baseDelayMs: 100, maxDelayMs: 300 };
+  for (let i = 0; i < 50; i++) {
+    const first = computeBackoff(1, options);
+    const late = computeBackoff(10, options);
+    assert.ok(first >= 0 && first <= 100, `attempt 1: ${first}`);
+    assert.ok(late >= 0 && late <= 300, `attempt 10: ${late}`);
+  }
+});
+
+// An upstream that answers each request with the next scripted response
+// (the last one repeats) and counts what it was sent
+async function startUpstream(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url.split("?")[0]}`);
+    req.resume();
+    req.on("end", () => {
+      const { status, headers = {}, body = {} } = responses[Math.min(requests.length - 1, responses.length - 1)];
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// A client allowed three attempts with short backoff, that won't wait out a
+// Retry-After of more than two seconds
+async function withRetryingClient(responses, run) {
+  const upstream = await startUpstream(responses);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "harmonic-mcp-retry-"));
+  const config = path.join(dir, "config.json");
+  fs.writeFileSync(config, JSON.stringify({ retry: { baseDelayMs: 10, maxDelayMs: 20, maxRetryAfterMs: 2000 } }));
+  const session = await startClient(upstream.url, ["--config", config, "--max-attempts", "3", "--no-cache"]);
+  try {
+    await run(session, upstream.requests);
+  } finally {
+    await session.close();
+    upstream.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("a GET is retried on 503 until it succeeds", async () => {
+  await withRetryingClient([{ status: 503 }, { status: 503 }, { status: 200, body: COMPANY }], async (session, requests) => {
+    assert.match(await session.call("harmonic_get_company", { identifier: "1" }), /Retry Co/);
+    assert.equal(requests.length, 3);
+  });
+});
+
+test("a GET gives up after maxAttempts", async () => {
+  await withRetryingClient([{ status: 500 }], async (session, requests) => {
+    await assert.rejects(session.call("harmonic_get_company", { identifier: "1" }), /3 attempts, final status 500/);
+    assert.equal(requests.length, 3);
+  });
+});
+
+test("a Retry-After HTTP date is waited out before retrying", async () => {
+  const retryAt = new Date(Date.now() + 1000).toUTCString();
+  await withRetryingClient([{ status: 429, headers: { "Retry-After": retryAt } }, { status: 200, body: COMPANY }], async (session, requests) => {
+    assert.match(await session.call("harmonic_get_company", { identifier: "1" }), /Retry Co/);
+    assert.equal(requests.length, 2);
+  });
+});
+
+test("a Retry-After longer than maxRetryAfterMs fails instead of waiting", async () => {
+  await withRetryingClient([{ status: 429, headers: { "Retry-After": "120" } }, { status: 200, body: COMPANY }], async (session, requests) => {
+    const started = Date.now();
+    await assert.rejects(session.call("harmonic_get_company", { identifier: "1" }), /429/);
+    assert.equal(requests.length, 1);
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+test("a non-idempotent POST is never retried", async () => {
+  await withRetryingClient([{ status: 503 }, { status: 200, body: { id: 1 } }], async (session, requests) => {
+    await assert.rejects(
+      session.call("harmonic_create_saved_search", {
+        name: "Retry test",
+        type: "COMPANIES_LIST",
+        query: { filter_group: { join_operator: "and", filters: [] } },
+      }),
+      /503/
+    );
+    assert.deepEqual(requests, ["POST /saved_searches"]);
+  });
+});
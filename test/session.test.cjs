@@ -0,0 +1,12 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { requireLib } = require("./helpers.cjs");
+
+test("closing an in-memory session drops its cached responses", () => {
+  const { HarmonicSession } = requireLib("session.js");
+  const session = new HarmonicSession({ cache: { file: null } });
+  session.cache.set("key", "/companies/1", { id: 1 });
+  session.close();
+  assert.equal(session.cache.entries.size, 0);
+  assert.equal(session.client, null);
+});
@@ -0,0 +1,48 @@
+// Runs a spread of tools end to end against the mock API in replay mode.
+// A tool that calls an endpoint with no fixture fails here.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock, startClient } = require("./helpers.cjs");
+
+const CALLS = [
+  ["harmonic_search_company_by_domain", { domain: "acme.example", detail: "summary" }, /"name": "Acme Robotics"/],
+  ["harmonic_get_company", { identifier: "https://www.linkedin.com/company/acme-robotics-example", fields: "name" }, /Acme Robotics/],
+  ["harmonic_search_companies", { query: "acme", output_format: "markdown" }, /Acme Robotics/],
+  ["harmonic_search_companies_advanced", { stages: ["SERIES_A"], countries: ["Germany"], output_format: "markdown" }, /Binpick Systems/],
+  ["harmonic_find_similar_companies", { company: "1001", output_format: "markdown" }, /2 shown of 2 candidates/],
+  ["harmonic_get_funding_rounds", { company: "acme.example", output_format: "markdown" }, /Northwind Ventures/],
+  ["harmonic_get_investor_portfolio", { investor: "Northwind Ventures", output_format: "markdown" }, /2 matching companies/],
+  ["harmonic_enrich_person", { email: "dana@acme.example" }, /"status": "matched"/],
+  ["harmonic_enrich_person", { linkedin_url: "https://www.linkedin.com/in/dana-example" }, /"matched_by": "linkedin_url"/],
+  ["harmonic_search_people", { query: "robotics", output_format: "markdown" }, /Sam Sample/],
+  ["harmonic_get_company_employees", { company_id: "1001" }, /urn:harmonic:person:2001/],
+  ["harmonic_list_saved_searches", { output_format: "markdown" }, /Robotics Series A/],
+  ["harmonic_get_saved_search_results", { search_id: "3001", output_format: "markdown" }, /Acme Robotics/],
+  ["harmonic_list_watchlists", { output_format: "markdown" }, /Founders to meet/],
+  ["harmonic_get_watchlist_entries", { watchlist_id: "4001", output_format: "markdown" }, /Acme Robotics/],
+  ["harmonic_add_watchlist_entries", { watchlist_id: "4001", entities: ["1002"], confirm: true }, /"applied": true/],
+];
+
+describe("tools against the mock API", () => {
+  let mock;
+  let session;
+
+  before(async () => {
+    mock = await startMock();
+    session = await startClient(mock.url);
+  });
+
+  after(async () => {
+    await session?.close();
+    mock?.server.close();
+  });
+
+  for (const [name, args, expected] of CALLS) {
+    it(`${name} ${JSON.stringify(args)}`, async () => {
+      const result = await session.client.callTool({ name, arguments: args });
+      const text = result.content.map((item) => item.text).join("\n");
+      assert.ok(!result.isError, text);
+      assert.match(text, expected);
+    });
+  }
+});
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { requireLib } = require("./helpers.cjs");
+
+const company = (id, headcount = 10) => ({ id, entity_urn: `urn:harmonic:company:${id}`, name: `Company ${id}`, headcount });
+
+test("diffSnapshots reports additions, removals and changes between complete snapshots", () => {
+  const { takeSnapshot, diffSnapshots } = requireLib("snapshots.js");
+  const previous = takeSnapshot(1, [company(1), company(2)], { complete: true });
+  const current = takeSnapshot(1, [company(1, 12), company(3)], { complete: true });
+  const diff = diffSnapshots(previous, current);
+  assert.deepEqual(diff.added.map((entry) => entry.name), ["Company 3"]);
+  assert.deepEqual(diff.removed.map((entry) => entry.name), ["Company 2"]);
+  assert.deepEqual(diff.changed[0].changes, { headcount: { from: 10, to: 12 } });
+  assert.equal(diff.additions_reliable, true);
+  assert.equal(diff.removals_reliable, true);
+});
+
+test("diffSnapshots doesn't report entities past the previous cap as added", () => {
+  const { takeSnapshot, diffSnapshots } = requireLib("snapshots.js");
+  const previous = takeSnapshot(1, [company(1)], { complete: false });
+  const current = takeSnapshot(1, [company(1), company(2)], { complete: true });
+  const diff = diffSnapshots(previous, current);
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, []);
+  assert.equal(diff.additions_reliable, false);
+  assert.equal(diff.removals_reliable, false);
+});
+
+test("diffSnapshots still reports additions when only the current run was capped", () => {
+  const { takeSnapshot, diffSnapshots } = requireLib("snapshots.js");
+  const previous = takeSnapshot(1, [company(1), company(2)], { complete: true });
+  const current = takeSnapshot(1, [company(3)], { complete: false });
+  const diff = diffSnapshots(previous, current);
+  assert.deepEqual(diff.added.map((entry) => entry.name), ["Company 3"]);
+  assert.deepEqual(diff.removed, []);
+  assert.equal(diff.removals_reliable, false);
+});
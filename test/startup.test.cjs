@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SERVER_ENTRY } = require("./helpers.cjs");
+
+test("a server that can't start exits with status 1", () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "harmonic-mcp-test-"));
+  try {
+    const result = spawnSync(process.execPath, [SERVER_ENTRY, "--transport", "http"], {
+      env: { PATH: process.env.PATH, HOME: home, HARMONIC_API_KEY: "test-key" },
+      encoding: "utf8",
+      timeout: 30000,
+    });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /HTTP transport requires a bearer token/);
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMock, startClient } = require("./helpers.cjs");
+
+test("watchlist changes are only applied with confirm: true", async () => {
+  const mock = await startMock();
+  const session = await startClient(mock.url);
+  const requests = [];
+  mock.server.on("request", (req) => requests.push(`${req.method} ${req.url.split("?")[0]}`));
+  try {
+    for (const confirm of [undefined, false, "false", "true", 1]) {
+      const { content } = await session.client.callTool({
+        name: "harmonic_add_watchlist_entries",
+        arguments: { watchlist_id: "4001", entities: ["1002"], confirm },
+      });
+      assert.equal(JSON.parse(content[0].text).applied, false, `confirm: ${JSON.stringify(confirm)}`);
+      assert.match(content[1].text, /^Preview only: nothing was changed/);
+    }
+    assert.ok(!requests.some((request) => request.includes(":addCompanies")), requests.join(", "));
+
+    const applied = JSON.parse(await session.call("harmonic_add_watchlist_entries", { watchlist_id: "4001", entities: ["1002"], confirm: true }));
+    assert.equal(applied.applied, true);
+    assert.ok(requests.includes("POST /watchlists/companies/4001:addCompanies"));
+  } finally {
+    await session.close();
+    mock.server.close();
+  }
+});